@@ -4,244 +4,3295 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
-const { exec } = require('child_process');
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { finished, pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const { execFile } = require('child_process');
+const { Worker } = require('worker_threads');
 
-class ProjectExporter {
-    constructor() {
-        this.projectPath = '';
-        this.projectTree = null;
-        this.selectedPaths = new Set();
-        // Define default common exclusion names.
-        // These are the actual folder/file names that will be checked.
-        this.defaultExclusionNames = [
-            'node_modules', '.git', '.vscode', 'package-lock.json',
-            'yarn.lock', 'build', 'dist', 'temp'
-        ];
+// Ignore files that are read in every directory of the project (in this order, so that
+// rules from .exporterignore can override rules from .gitignore in the same directory).
+const IGNORE_FILE_NAMES = ['.gitignore', '.exporterignore'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Translates a gitignore-style glob into a RegExp source string.
+// '*' and '?' never match '/', while '**' spans any number of directories.
+function globToRegExp(pattern) {
+    let source = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+                const next = pattern[i + 2];
+                if (atSegmentStart && next === '/') {
+                    source += '(?:.*/)?'; // "**/" matches zero or more directories
+                    i += 3;
+                    continue;
+                }
+                if (atSegmentStart && next === undefined) {
+                    source += '.*'; // A trailing "/**" matches everything inside
+                    i += 2;
+                    continue;
+                }
+                // Any other "**" behaves like a regular "*"
+                source += '[^/]*';
+                i += 2;
+                continue;
+            }
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            let j = i + 1;
+            const negated = pattern[j] === '!' || pattern[j] === '^';
+            if (negated) j++;
+            if (pattern[j] === ']') j++; // A ']' right after the opening bracket is literal
+            const end = pattern.indexOf(']', j);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                // A leading ']' (and any '^' or backslash) is literal in the glob, so it is
+                // escaped for the RegExp class, where "[]" would match nothing
+                const body = pattern.slice(negated ? i + 2 : i + 1, end).replace(/[\\\]^]/g, '\\$&');
+                source += negated ? `[^/${body}]` : `[${body}]`;
+                i = end + 1;
+                continue;
+            }
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[i + 1]);
+            i += 2;
+            continue;
+        } else {
+            source += escapeRegExp(char);
+        }
+        i++;
     }
+    return source;
+}
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Parses one line of an ignore file into a rule, or returns null for blanks and comments.
+function parseIgnoreRule(line) {
+    // Trailing spaces are ignored unless they are escaped with a backslash
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negated = false;
+    if (pattern.startsWith('!')) {
+        negated = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
     }
 
-    // Modified buildTree method to store paths relative to the projectPath
-    // Now accepts an array of active exclusion names from the client
-    buildTree(currentDirPath, activeExclusionNames = []) {
-        const stats = fs.statSync(currentDirPath);
-        const name = path.basename(currentDirPath);
+    let directoryOnly = false;
+    if (pattern.endsWith('/')) {
+        directoryOnly = true;
+        pattern = pattern.slice(0, -1);
+    }
+    if (!pattern) return null;
 
-        // Normalize the active exclusion names to a Set for efficient lookup
-        const exclusionSet = new Set(activeExclusionNames);
+    // A slash at the beginning or in the middle anchors the pattern to the directory
+    // of the ignore file; otherwise the pattern matches at any depth below it.
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    const source = globToRegExp(pattern);
 
-        // Crucial: Do not exclude the project's root directory, even if its name matches an exclusion.
-        // This ensures the tree always starts from the specified project path.
-        if (currentDirPath !== this.projectPath && exclusionSet.has(name)) {
-            return null; // Skip this item and its children if it matches an exclusion
+    return {
+        negated,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+    };
+}
+
+async function readIgnoreFile(filePath) {
+    try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return content
+            .split(/\r?\n/)
+            .map(parseIgnoreRule)
+            .filter(Boolean);
+    } catch (err) {
+        return []; // Missing or unreadable ignore files are simply skipped
+    }
+}
+
+// A layered set of ignore rules. Every directory that has its own ignore files adds a
+// layer on top of its parent's, and (like git) the last matching rule wins.
+class IgnoreRules {
+    constructor(parent = null, basePath = '', rules = []) {
+        this.parent = parent;
+        this.basePath = basePath; // Directory of the ignore file, relative to the project root
+        this.rules = rules;
+    }
+
+    // Root rules for a project: the repository-local .git/info/exclude file.
+    static async forProject(projectPath) {
+        return new IgnoreRules(null, '', await readIgnoreFile(path.join(projectPath, '.git', 'info', 'exclude')));
+    }
+
+    // Returns the rules that apply inside `dirPath` (whose project-relative path is `relPath`).
+    async forDirectory(dirPath, relPath) {
+        const ruleLists = await Promise.all(IGNORE_FILE_NAMES.map(fileName => readIgnoreFile(path.join(dirPath, fileName))));
+        const rules = ruleLists.flat();
+        return rules.length > 0 ? new IgnoreRules(this, relPath, rules) : this;
+    }
+
+    ignores(relPath, isDirectory) {
+        const layers = [];
+        for (let layer = this; layer; layer = layer.parent) {
+            layers.unshift(layer);
         }
 
-        let nodePath = path.relative(this.projectPath, currentDirPath);
-        nodePath = nodePath.replace(/\\/g, '/'); // Normalize path separators
+        let ignored = false;
+        for (const layer of layers) {
+            const target = layer.basePath === '' ? relPath : relPath.slice(layer.basePath.length + 1);
+            ignored = applyRules(layer.rules, target, isDirectory, ignored);
+        }
+        return ignored;
+    }
+}
 
-        if (stats.isDirectory()) {
-            const children = [];
-            let totalSize = 0;
+// Runs `target` through a list of rules in order and returns the resulting state:
+// a matching rule sets it to true, a matching negated ("!") rule back to false.
+function applyRules(rules, target, isDirectory, state = false) {
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.regex.test(target)) {
+            state = !rule.negated;
+        }
+    }
+    return state;
+}
 
-            try {
-                const items = fs.readdirSync(currentDirPath);
-                for (const item of items) {
-                    // Skip items that match an exclusion name
-                    if (exclusionSet.has(item)) {
-                        continue;
-                    }
+// User-defined include/exclude glob patterns, evaluated against project-relative paths.
+// Patterns use the same syntax as .gitignore lines ("src/**/*.ts", "!**/*.test.ts", "*.min.js").
+class PathFilter {
+    constructor(includePatterns = [], excludePatterns = []) {
+        this.includeRules = includePatterns.map(parseIgnoreRule).filter(Boolean);
+        this.excludeRules = excludePatterns.map(parseIgnoreRule).filter(Boolean);
+        // Only negations means "everything except ...", which the exclude list already covers
+        this.hasIncludes = this.includeRules.some(rule => !rule.negated);
+    }
 
-                    const itemPath = path.join(currentDirPath, item);
-                    // Pass the activeExclusionNames down to recursive calls
-                    const child = this.buildTree(itemPath, activeExclusionNames);
-                    if (child) {
-                        children.push(child);
-                        totalSize += child.size;
-                    }
-                }
-            } catch (err) {
-                console.error(`Error reading directory ${currentDirPath}: ${err.message}`);
-            }
+    // Excluded directories are skipped together with everything inside them
+    excludes(relPath, isDirectory) {
+        return applyRules(this.excludeRules, relPath, isDirectory);
+    }
 
-            return {
-                name,
-                path: nodePath,
-                type: 'directory',
-                size: totalSize,
-                children
-            };
-        } else {
-            return {
-                name,
-                path: nodePath,
-                type: 'file',
-                size: stats.size
-            };
+    // Include patterns only decide about files. A pattern may name the file itself or one
+    // of its parent directories (so "packages/api" includes the whole package).
+    includes(relPath) {
+        if (!this.hasIncludes) return true;
+
+        const segments = relPath.split('/');
+        let included = false;
+        for (let i = 1; i <= segments.length; i++) {
+            const isDirectory = i < segments.length;
+            included = applyRules(this.includeRules, segments.slice(0, i).join('/'), isDirectory, included);
         }
+        return included;
     }
+}
 
-    formatTreeToString(node, indent = '', isLast = true) {
-        const lines = [];
-        const displayName = node.path === '' ? path.basename(this.projectPath) : node.name;
-        const prefix = isLast ? '└── ' : '├── ';
-        const icon = node.type === 'directory' ? '📁' : '📄';
-        const size = node.formattedSize ? ` (${node.formattedSize})` : '';
+// Extensions that are always treated as binary, without looking at the file contents
+const BINARY_EXTENSIONS = new Set([
+    // Images and media
+    '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tif', '.tiff', '.psd',
+    '.mp3', '.wav', '.ogg', '.flac', '.mp4', '.mov', '.avi', '.mkv', '.webm',
+    // Fonts
+    '.ttf', '.otf', '.woff', '.woff2', '.eot',
+    // Archives and packages
+    '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar', '.jar', '.war', '.ear',
+    '.apk', '.ipa', '.deb', '.rpm', '.dmg', '.iso', '.nupkg', '.whl',
+    // Compiled code and libraries
+    '.exe', '.dll', '.so', '.dylib', '.a', '.lib', '.o', '.obj', '.class', '.pyc', '.pyo',
+    '.wasm', '.node', '.bin',
+    // Databases and documents
+    '.sqlite', '.sqlite3', '.db', '.mdb', '.pdf', '.doc', '.docx', '.xls', '.xlsx',
+    '.ppt', '.pptx', '.odt', '.ods'
+]);
 
-        const isNodeSelected = this.selectedPaths.has(node.path);
-        const selectedIndicator = isNodeSelected ? '[X] ' : '[ ] ';
+// How many bytes from the start of a file are inspected when sniffing for binary content
+const BINARY_SNIFF_BYTES = 8000;
 
-        lines.push(`${indent}${prefix}${selectedIndicator}${icon} ${displayName}${size}`);
+// Decides whether a buffer holds binary data: null bytes, many control characters or
+// content that mostly fails to decode as UTF-8 all point to a non-text file.
+function looksBinary(buffer) {
+    if (buffer.length === 0) return false;
+    if (buffer.includes(0)) return true;
 
-        if (node.children && node.children.length > 0) {
-            const childIndent = indent + (isLast ? '    ' : '│   ');
-            for (let i = 0; i < node.children.length; i++) {
-                const child = node.children[i];
-                const childIsLast = (i === node.children.length - 1);
-                lines.push(this.formatTreeToString(child, childIndent, childIsLast));
-            }
+    let controlChars = 0;
+    for (const byte of buffer) {
+        // Backspace, tab, newline, form feed, carriage return and escape are common in text
+        if (byte < 32 && ![8, 9, 10, 12, 13, 27].includes(byte)) {
+            controlChars++;
         }
-        return lines.join('\n');
     }
+    if (controlChars / buffer.length > 0.1) return true;
 
+    // Occasional invalid sequences (e.g. a Latin-1 encoded name in a comment) are fine
+    const decoded = buffer.toString('utf8');
+    const replacements = decoded.split('\uFFFD').length - 1;
+    return replacements / decoded.length > 0.1;
+}
 
-    generateUniqueFilename(baseName = 'export') {
-        const timestamp = new Date().toISOString()
-            .replace(/:/g, '-')
-            .replace(/\..+/, '')
-            .replace('T', '_');
-        return `${baseName}_${timestamp}.txt`;
+async function isBinaryFile(filePath) {
+    if (BINARY_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+        return true;
     }
 
-    exportToText(customName = null) {
-        const output = [];
-        const sectionSeparator = '='.repeat(80);
-        let fileCount = 0;
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+        const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+        return looksBinary(buffer.subarray(0, bytesRead));
+    } catch (err) {
+        return false; // Unreadable files are reported when their content is actually read
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+// Local token-count approximations for common model families (no tokenizer download needed).
+// wordChars: letters per token in long words; symbolChars: punctuation characters per token;
+// nonAsciiPerToken: characters per token outside ASCII (accents, CJK, emoji).
+const TOKENIZER_MODELS = {
+    'gpt-4o': { label: 'GPT-4o / o-series', wordChars: 6.5, symbolChars: 2.2, nonAsciiPerToken: 1.2 },
+    'gpt-4': { label: 'GPT-4 / GPT-3.5', wordChars: 6.0, symbolChars: 2.0, nonAsciiPerToken: 0.9 },
+    'claude': { label: 'Claude', wordChars: 5.0, symbolChars: 1.8, nonAsciiPerToken: 0.9 },
+    'llama': { label: 'Llama 3', wordChars: 6.0, symbolChars: 2.0, nonAsciiPerToken: 1.0 },
+    'gemini': { label: 'Gemini', wordChars: 6.0, symbolChars: 2.2, nonAsciiPerToken: 1.3 }
+};
+const DEFAULT_TOKENIZER_MODEL = 'gpt-4o';
+
+// Own keys only, so that names like "toString" are unknown models
+function isTokenizerModel(model) {
+    return typeof model === 'string' && Object.hasOwn(TOKENIZER_MODELS, model);
+}
+
+// Files read at the same time when counting the tokens of a selection, and how many
+// counts each loaded project keeps for files that haven't changed since
+const TOKEN_COUNT_CONCURRENCY = 8;
+const TOKEN_CACHE_LIMIT = 20000;
 
-        output.push(`${sectionSeparator}\n`);
-        output.push(`PROJECT STRUCTURE AND SELECTION\n`);
-        output.push(`${sectionSeparator}\n`);
-        if (this.projectTree) {
-            output.push(this.formatTreeToString(this.projectTree));
+// Estimates the token count of `text` by splitting it the way BPE pre-tokenizers do
+// (words with their leading space, camelCase parts, digit groups, punctuation runs,
+// whitespace runs) and pricing each piece with the model family's averages.
+function estimateTokens(text, model = DEFAULT_TOKENIZER_MODEL) {
+    const profile = TOKENIZER_MODELS[isTokenizerModel(model) ? model : DEFAULT_TOKENIZER_MODEL];
+    const pieces = text.match(/ ?[A-Z]?[a-z]+| ?[A-Z]+(?![a-z])|\d{1,3}|\s+|[\x21-\x2F\x3A-\x40\x5B-\x60\x7B-\x7E]+|[^\x00-\x7F]+/g) || [];
+
+    let tokens = 0;
+    for (const piece of pieces) {
+        const first = piece.charCodeAt(piece.length > 1 && piece[0] === ' ' ? 1 : 0);
+        if (/^ ?[A-Za-z]/.test(piece)) {
+            tokens += Math.max(1, Math.round(piece.trim().length / profile.wordChars));
+        } else if (first >= 48 && first <= 57) {
+            tokens += 1; // Numbers are split into groups of up to three digits
+        } else if (/^\s/.test(piece)) {
+            // Newlines mostly get their own tokens, runs of indentation are merged
+            const newlines = (piece.match(/\n/g) || []).length;
+            tokens += Math.max(1, Math.ceil(newlines / 2) + Math.floor(piece.replace(/\n/g, '').length / 8));
+        } else if (first > 127) {
+            tokens += Math.ceil(piece.length / profile.nonAsciiPerToken);
         } else {
-            output.push('Project tree not loaded.');
+            tokens += Math.ceil(piece.length / profile.symbolChars);
         }
-        output.push('\n\n');
+    }
+    return tokens;
+}
 
-        output.push(`${sectionSeparator}\n`);
-        output.push(`SELECTED FILES CONTENT\n`);
-        output.push(`${sectionSeparator}\n\n`);
+// Language identifiers (as used by Markdown code fences) for common file extensions
+const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+    '.json': 'json', '.jsonc': 'jsonc', '.json5': 'json5',
+    '.html': 'html', '.htm': 'html', '.xml': 'xml', '.svg': 'xml', '.vue': 'vue', '.svelte': 'svelte',
+    '.css': 'css', '.scss': 'scss', '.sass': 'sass', '.less': 'less',
+    '.md': 'markdown', '.markdown': 'markdown', '.rst': 'rst', '.txt': 'text',
+    '.py': 'python', '.rb': 'ruby', '.php': 'php', '.pl': 'perl', '.lua': 'lua', '.r': 'r',
+    '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.scala': 'scala', '.groovy': 'groovy',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp',
+    '.cs': 'csharp', '.fs': 'fsharp', '.go': 'go', '.rs': 'rust', '.swift': 'swift', '.m': 'objectivec',
+    '.dart': 'dart', '.ex': 'elixir', '.exs': 'elixir', '.erl': 'erlang', '.hs': 'haskell', '.clj': 'clojure',
+    '.sh': 'bash', '.bash': 'bash', '.zsh': 'bash', '.fish': 'fish', '.ps1': 'powershell', '.bat': 'batch', '.cmd': 'batch',
+    '.sql': 'sql', '.graphql': 'graphql', '.gql': 'graphql', '.proto': 'protobuf',
+    '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.cfg': 'ini', '.env': 'dotenv',
+    '.tf': 'hcl', '.hcl': 'hcl', '.gradle': 'groovy', '.cmake': 'cmake', '.diff': 'diff', '.patch': 'diff'
+};
 
-        let hasSelectedFilesContent = false;
-        for (const selectedPath of this.selectedPaths) {
-            const node = this.findNode(this.projectTree, selectedPath);
-            if (node && node.type === 'file') {
-                const fullPath = path.join(this.projectPath, selectedPath);
-                try {
-                    const content = fs.readFileSync(fullPath, 'utf8');
-                    output.push(`--- File: ${selectedPath} ---\n`);
-                    output.push(content);
-                    output.push('\n\n');
-                    fileCount++;
-                    hasSelectedFilesContent = true;
-                } catch (err) {
-                    console.error(`Error reading file ${fullPath}: ${err.message}`);
-                    output.push(`--- ERROR reading file: ${selectedPath} --- ${err.message}\n\n`);
+// Files that are recognized by their whole name rather than their extension
+const LANGUAGE_BY_FILENAME = {
+    'dockerfile': 'dockerfile', 'makefile': 'makefile', 'gnumakefile': 'makefile',
+    'cmakelists.txt': 'cmake', 'gemfile': 'ruby', 'rakefile': 'ruby', 'jenkinsfile': 'groovy',
+    '.gitignore': 'gitignore', '.dockerignore': 'gitignore', '.exporterignore': 'gitignore',
+    '.env': 'dotenv', '.bashrc': 'bash', '.zshrc': 'bash', '.editorconfig': 'ini'
+};
+
+// Returns the language identifier for a file path, or '' when it is not recognized
+function detectLanguage(filePath) {
+    const fileName = path.basename(filePath).toLowerCase();
+    if (LANGUAGE_BY_FILENAME[fileName]) return LANGUAGE_BY_FILENAME[fileName];
+    if (fileName.startsWith('.env.')) return 'dotenv';
+    if (fileName.startsWith('dockerfile.')) return 'dockerfile';
+    return LANGUAGE_BY_EXTENSION[path.extname(fileName)] || '';
+}
+
+// A Markdown code fence that is longer than any run of backticks inside the content,
+// so the content can never close the block early.
+function markdownFence(content) {
+    const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Wraps text in CDATA. Characters that XML 1.0 does not allow at all are dropped, and
+// "]]>" (which would end the section) is split across two CDATA sections.
+function xmlCdata(text) {
+    const cleaned = text.replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '');
+    return `<![CDATA[${cleaned.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Stands in for the content when a file section is rendered around streamed content
+const STREAM_CONTENT_PLACEHOLDER = '\uE000content\uE000';
+
+// fileStream for formats that only need to escape the content: the section as file() renders
+// it, split around the content, with `encode` applied to every chunk
+function streamFileSection(formatter, entry, encode) {
+    const section = formatter.file({ ...entry, content: STREAM_CONTENT_PLACEHOLDER });
+    const encodedPlaceholder = encode(STREAM_CONTENT_PLACEHOLDER);
+    const at = section.indexOf(encodedPlaceholder);
+    return {
+        start: () => section.slice(0, at),
+        encode,
+        end: () => section.slice(at + encodedPlaceholder.length)
+    };
+}
+
+// The title of a file section in the text based formats, e.g. "src/app.js (lines 10-20)"
+function fileSectionTitle({ path: filePath, encoding, range, diffBase }) {
+    let title = filePath;
+    if (encoding === 'base64') title += ' (binary, base64)';
+    if (diffBase) title += ` (diff against ${diffBase})`;
+    if (range) title += ` (lines ${range.start}-${range.end})`;
+    return title;
+}
+
+// Output formats supported by exportToText. Every output file (or every part, when the
+// export is split) is rendered as header(context) + file sections joined by `separator`
+// + footer(context). The context holds the project name, generation time, file count,
+// the tree (as text in `tree` and as data in `treeData`, both null when this part does not
+// carry it), `part` ({ number, count, files } or null), `isLast` and `hasContent`.
+// File sections get { path, size, language, content, encoding, skipped, range, diffBase },
+// where `skipped` marks placeholders such as skipped binary files, `range` a line range and
+// `diffBase` a section that holds the file's git diff against that ref instead of its content.
+// Large files are written in chunks instead: fileStream(entry) gets the entry without content
+// and returns { scan, start, encode, end }. Every chunk of the content goes to scan(chunk)
+// first (when given), then the section is written as start() + encode(chunk)... + end().
+// `mimeType` is the Content-Type used when an export is downloaded.
+const EXPORT_FORMATS = {
+    txt: {
+        label: 'Plain text',
+        extension: '.txt',
+        mimeType: 'text/plain',
+        separator: '',
+        header({ tree, part }) {
+            const sectionSeparator = '='.repeat(80);
+            let text = '';
+            if (part) {
+                const files = part.files.length > 0 ? part.files.map(file => `  - ${file}`) : ['  (none)'];
+                text += [sectionSeparator, `PART ${part.number} OF ${part.count}`, 'Files in this part:', ...files, sectionSeparator, '', ''].join('\n');
+            }
+            if (tree !== undefined) {
+                text += `${sectionSeparator}\n` +
+                    `PROJECT STRUCTURE AND SELECTION\n` +
+                    `${sectionSeparator}\n` +
+                    (tree !== null ? tree : 'Project tree not loaded.') +
+                    '\n\n' +
+                    `${sectionSeparator}\n` +
+                    `SELECTED FILES CONTENT\n` +
+                    `${sectionSeparator}\n\n`;
+            }
+            return text;
+        },
+        file(entry) {
+            return `--- File: ${fileSectionTitle(entry)} ---\n${entry.content}\n\n`;
+        },
+        fileStream(entry) {
+            return streamFileSection(this, entry, chunk => chunk);
+        },
+        error({ path: filePath, message }) {
+            return `--- ERROR reading file: ${filePath} --- ${message}\n\n`;
+        },
+        footer({ isLast, hasContent }) {
+            if (!isLast) return '';
+            return (hasContent ? '' : 'No file contents were exported (either no files were selected, or selected paths were directories).') + '\n';
+        }
+    },
+    md: {
+        label: 'Markdown',
+        extension: '.md',
+        mimeType: 'text/markdown',
+        separator: '',
+        header({ projectName, tree, part }) {
+            let text = '';
+            if (part) {
+                const files = part.files.length > 0 ? part.files.map(file => `- ${file}`).join('\n') : '- (none)';
+                text += `# Part ${part.number} of ${part.count}\n\nFiles in this part:\n\n${files}\n\n---\n\n`;
+            }
+            if (tree !== undefined) {
+                text += `# Project: ${projectName}\n\n` +
+                    `## Project Structure\n\n` +
+                    (tree !== null ? `${markdownFence(tree)}text\n${tree}\n${markdownFence(tree)}\n\n` : '_Project tree not loaded._\n\n') +
+                    `## Files\n\n`;
+            }
+            return text;
+        },
+        file(entry) {
+            const title = fileSectionTitle(entry);
+            if (entry.skipped) {
+                return `### ${title}\n\n_${entry.content}_\n\n`;
+            }
+            const content = entry.content;
+            const fence = markdownFence(content);
+            return `### ${title}\n\n${fence}${entry.language}\n${content}${content.endsWith('\n') ? '' : '\n'}${fence}\n\n`;
+        },
+        fileStream(entry) {
+            // The fence has to be longer than any run of backticks, also one that spans chunks
+            let longestRun = 0;
+            let trailingRun = 0;
+            let lastChar = '';
+            let fence = '';
+            return {
+                scan(chunk) {
+                    for (const match of chunk.matchAll(/`+/g)) {
+                        const run = match.index === 0 ? trailingRun + match[0].length : match[0].length;
+                        longestRun = Math.max(longestRun, run);
+                    }
+                    const trailing = /`*$/.exec(chunk)[0].length;
+                    trailingRun = trailing === chunk.length ? trailingRun + trailing : trailing;
+                },
+                start() {
+                    fence = '`'.repeat(Math.max(3, longestRun + 1));
+                    return `### ${fileSectionTitle(entry)}\n\n${fence}${entry.language}\n`;
+                },
+                encode(chunk) {
+                    if (chunk) lastChar = chunk[chunk.length - 1];
+                    return chunk;
+                },
+                end() {
+                    return `${lastChar === '\n' ? '' : '\n'}${fence}\n\n`;
                 }
+            };
+        },
+        error({ path: filePath, message }) {
+            return `### ${filePath}\n\n> Error reading file: ${message}\n\n`;
+        },
+        footer({ isLast, hasContent }) {
+            return isLast && !hasContent ? '_No file contents were exported (either no files were selected, or selected paths were directories)._\n' : '';
+        }
+    },
+    json: {
+        label: 'JSON',
+        extension: '.json',
+        mimeType: 'application/json',
+        separator: ',\n',
+        header({ projectName, generatedAt, fileCount, treeData, part }) {
+            const metadata = { project: projectName, generatedAt, fileCount };
+            if (part) metadata.part = part;
+            if (treeData !== undefined) metadata.tree = treeData;
+            // Leave the object open so the file entries can be streamed into its "files" array
+            return JSON.stringify(metadata, null, 2).slice(0, -2) + ',\n  "files": [\n';
+        },
+        file({ path: filePath, size, language, content, encoding, skipped, range, diffBase }) {
+            const entry = { path: filePath, size, language };
+            if (diffBase) entry.diffAgainst = diffBase;
+            if (range) entry.lines = [range.start, range.end];
+            if (encoding) entry.encoding = encoding;
+            if (skipped) {
+                Object.assign(entry, { binary: true, skipped: true, content: null });
+            } else {
+                entry.content = content;
             }
+            return JSON.stringify(entry, null, 2).replace(/^/gm, '    ');
+        },
+        fileStream(entry) {
+            return streamFileSection(this, entry, chunk => JSON.stringify(chunk).slice(1, -1));
+        },
+        error({ path: filePath, message }) {
+            return JSON.stringify({ path: filePath, error: message }, null, 2).replace(/^/gm, '    ');
+        },
+        footer() {
+            return '\n  ]\n}\n';
         }
-
-        if (!hasSelectedFilesContent) {
-            output.push('No file contents were exported (either no files were selected, or selected paths were directories).');
+    },
+    xml: {
+        label: 'XML',
+        extension: '.xml',
+        mimeType: 'application/xml',
+        separator: '',
+        header({ projectName, generatedAt, fileCount, tree, part }) {
+            let text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<documents project="${escapeXml(projectName)}" generated="${escapeXml(generatedAt)}" fileCount="${fileCount}">\n`;
+            if (part) {
+                text += `  <part number="${part.number}" count="${part.count}">\n` +
+                    part.files.map(file => `    <file>${escapeXml(file)}</file>\n`).join('') +
+                    '  </part>\n';
+            }
+            if (tree) {
+                text += `  <structure>${xmlCdata(tree)}</structure>\n`;
+            }
+            return text;
+        },
+        file({ path: filePath, size, language, content, encoding, skipped, range, diffBase }) {
+            let attributes = `path="${escapeXml(filePath)}" size="${size}"`;
+            if (language) attributes += ` language="${escapeXml(language)}"`;
+            if (diffBase) attributes += ` diffAgainst="${escapeXml(diffBase)}"`;
+            if (range) attributes += ` lines="${range.start}-${range.end}"`;
+            if (encoding) attributes += ` encoding="${encoding}"`;
+            if (skipped) {
+                return `  <document ${attributes} binary="true" skipped="true"/>\n`;
+            }
+            return `  <document ${attributes}>${xmlCdata(content)}</document>\n`;
+        },
+        fileStream(entry) {
+            // Like xmlCdata, chunk by chunk. Trailing brackets are held back until the next
+            // chunk shows whether they start a "]]>" that has to be split.
+            let heldBack = '';
+            const section = streamFileSection(this, entry, chunk => {
+                const text = heldBack + chunk.replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '');
+                heldBack = /\]{0,2}$/.exec(text)[0];
+                return text.slice(0, text.length - heldBack.length).replace(/]]>/g, ']]]]><![CDATA[>');
+            });
+            return { ...section, end: () => heldBack + section.end() };
+        },
+        error({ path: filePath, message }) {
+            return `  <document path="${escapeXml(filePath)}" error="${escapeXml(message)}"/>\n`;
+        },
+        footer() {
+            return '</documents>\n';
         }
-        output.push('\n');
+    }
+};
 
-        const exportsDir = path.join(process.cwd(), 'exports');
-        if (!fs.existsSync(exportsDir)) {
-            fs.mkdirSync(exportsDir, { recursive: true });
-        }
+// Directory that exports from the UI are written to, and downloaded from
+const EXPORTS_DIR = path.join(process.cwd(), 'exports');
 
-        const projectName = path.basename(this.projectPath);
-        const fileName = customName || this.generateUniqueFilename(`${projectName}_export`);
-        const outputPath = path.join(exportsDir, fileName);
+// Absolute path of a file in the exports directory, or null unless `name` is a plain
+// file name (no directories, no hidden files such as the .history metadata folder)
+function exportFilePath(name) {
+    if (typeof name !== 'string' || !name || name.startsWith('.') || name !== path.basename(name)) {
+        return null;
+    }
+    return path.join(EXPORTS_DIR, name);
+}
 
-        fs.writeFileSync(outputPath, output.join(''));
+function exportDownloadUrl(name) {
+    return `/api/exports/${encodeURIComponent(name)}/download`;
+}
 
-        return {
-            path: outputPath,
-            directory: exportsDir,
-            fileCount: fileCount
-        };
+// The first of name.txt, name_2.txt, name_3.txt, ... that no earlier export (single file or
+// split into name_part1.txt, ...) uses, so that a re-run doesn't replace the original
+function unusedExportPath(outputPath) {
+    const extension = path.extname(outputPath);
+    const basePath = outputPath.slice(0, outputPath.length - extension.length);
+    const isTaken = candidate => fs.existsSync(`${candidate}${extension}`) || fs.existsSync(`${candidate}_part1${extension}`);
+    let candidate = basePath;
+    for (let n = 2; isTaken(candidate); n++) {
+        candidate = `${basePath}_${n}`;
     }
+    return `${candidate}${extension}`;
+}
 
-    findNode(node, targetPath) {
-        if (node.path === targetPath) return node;
-        if (node.children) {
-            for (const child of node.children) {
-                const found = this.findNode(child, targetPath);
-                if (found) return found;
+// How much of an export the exports panel shows as a preview
+const EXPORT_PREVIEW_BYTES = 64 * 1024;
+
+// Content-Type for a file in the exports directory, based on the export format's extension
+function exportMimeType(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    const format = Object.values(EXPORT_FORMATS).find(candidate => candidate.extension === extension);
+    return format ? format.mimeType : 'text/plain';
+}
+
+// Content-Disposition header that makes the browser save the response as `fileName`.
+// Non-ASCII names are sent in filename* and replaced in the plain filename fallback.
+function attachmentHeader(fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7E]|["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Upper limit for the output of one git command (a large diff or status listing)
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+// What exportToText does with git diffs: nothing, the diff instead of the file content,
+// or the content followed by the diff
+const DIFF_MODES = ['none', 'diff', 'both'];
+
+// Runs the local git binary in `cwd` and resolves to its output. Exit codes other than
+// 0 are rejected with git's own error message.
+function runGit(cwd, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: GIT_MAX_BUFFER }, (err, stdout, stderr) => {
+            if (err) {
+                reject(new Error(err.code === 'ENOENT' ? 'git is not installed' : (stderr.trim() || err.message)));
+                return;
             }
-        }
+            resolve(stdout);
+        });
+    });
+}
+
+// Refs are passed to git as arguments, so anything that could be read as an option is refused.
+// Commit ranges such as "main..feature" are accepted.
+function validateGitRef(ref) {
+    if (typeof ref !== 'string' || !/^[^\s-]\S*$/.test(ref)) {
+        throw new ValidationError(`Invalid git ref "${ref}"`);
+    }
+    return ref;
+}
+
+// Path of the project directory inside its git work tree ("" at the top, "packages/api/"
+// in a subdirectory), or null when the project is not in a git repository
+async function getGitPrefix(projectPath) {
+    try {
+        if ((await runGit(projectPath, ['rev-parse', '--is-inside-work-tree'])).trim() !== 'true') return null;
+        return (await runGit(projectPath, ['rev-parse', '--show-prefix'])).trim();
+    } catch (err) {
         return null;
     }
+}
 
-    getAllPaths(node, paths = []) {
-        // The root node itself (path === '') is also selectable for 'select all' functionality
-        paths.push(node.path);
+// Maps the two status letters of `git status --porcelain` to the state shown in the tree
+function gitChangeState(indexStatus, workTreeStatus) {
+    if (indexStatus === '?') return 'untracked';
+    if (indexStatus === 'U' || workTreeStatus === 'U' ||
+        (indexStatus === 'A' && workTreeStatus === 'A') || (indexStatus === 'D' && workTreeStatus === 'D')) {
+        return 'conflicted';
+    }
+    return workTreeStatus !== ' ' ? 'modified' : 'staged';
+}
 
-        if (node.type === 'directory' && node.children) {
-            node.children.forEach(child => this.getAllPaths(child, paths));
+// Uncommitted changes below the project directory as { relativePath: state }, where state is
+// 'modified', 'staged', 'untracked' or 'conflicted'. Null when it is not a git repository.
+async function getGitStatus(projectPath) {
+    const prefix = await getGitPrefix(projectPath);
+    if (prefix === null) return null;
+
+    const output = await runGit(projectPath, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', '.']);
+    const fields = output.split('\0');
+    const changes = {};
+    for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        if (field.length < 4) continue;
+        const [indexStatus, workTreeStatus] = field;
+        // Porcelain paths are relative to the repository root; renames are followed by the old path
+        const repoPath = field.slice(3);
+        if ('RC'.includes(indexStatus) || 'RC'.includes(workTreeStatus)) i++;
+        if (repoPath.startsWith(prefix)) {
+            changes[repoPath.slice(prefix.length)] = gitChangeState(indexStatus, workTreeStatus);
         }
-        return paths;
     }
+    return changes;
 }
 
-// Create HTTP server for the UI
-const exporter = new ProjectExporter();
+// Project-relative paths of the files that differ from `ref`: committed, staged and unstaged
+// changes plus untracked files. For a commit range ("v1.2..v1.3") only the committed
+// changes between the two are listed.
+async function getChangedFiles(projectPath, ref = 'HEAD') {
+    validateGitRef(ref);
+    if (await getGitPrefix(projectPath) === null) {
+        throw new ValidationError('The project is not inside a git repository');
+    }
 
-const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Project Code Exporter</title>
-    <meta charset="UTF-8"> <!-- Added: Meta tag for character encoding -->
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            margin: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            max-width: 1000px;
-            margin: 0 auto;
-            background: white;
-            padding: 20px;
-            border-radius: 8px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    const output = await runGit(projectPath, ['diff', '--name-only', '-z', '--relative', ref, '--']);
+    const paths = output.split('\0').filter(Boolean);
+    if (!ref.includes('..')) {
+        const changes = await getGitStatus(projectPath);
+        paths.push(...Object.keys(changes).filter(changedPath => changes[changedPath] === 'untracked'));
+    }
+    return [...new Set(paths)];
+}
+
+// Unified diff of one file against `base` (a ref or a commit range), '' when it is unchanged
+function getFileDiff(projectPath, relativePath, base = 'HEAD') {
+    validateGitRef(base);
+    return runGit(projectPath, ['--literal-pathspecs', 'diff', '--no-color', '--no-ext-diff', '--relative', base, '--', relativePath]);
+}
+
+// The diff git would show for a new file, for untracked files that git diff does not cover
+function newFileDiff(relativePath, content) {
+    let text = `diff --git a/${relativePath} b/${relativePath}\nnew file mode 100644\n`;
+    if (content === '') return text;
+
+    text += `--- /dev/null\n+++ b/${relativePath}\n`;
+    const lines = content.split('\n');
+    const endsWithNewline = content.endsWith('\n');
+    if (endsWithNewline) lines.pop();
+    text += `@@ -0,0 +1${lines.length === 1 ? '' : ',' + lines.length} @@\n`;
+    text += lines.map(line => `+${line}\n`).join('');
+    return endsWithNewline ? text : text + '\\ No newline at end of file\n';
+}
+
+// Thrown by long-running work (project scans) after it has been cancelled
+class CancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+// How symbolic links inside a project are treated: followed wherever they point, skipped, or
+// followed only when their target is inside the project
+const SYMLINK_POLICIES = ['follow', 'skip', 'within-root'];
+const DEFAULT_SYMLINK_POLICY = 'within-root';
+
+// Thrown when a path leaves the directory it has to stay in
+class PathAccessError extends Error {
+    constructor(message = 'Access denied: Path outside project directory') {
+        super(message);
+        this.name = 'PathAccessError';
+    }
+}
+
+// Thrown when a request can't be carried out as asked: a missing or invalid value, a path
+// that does not exist, a profile name that is taken. Other errors are failures of the server.
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+// Whether targetPath is rootPath itself or inside it (both absolute). Unlike a startsWith check
+// this does not accept siblings such as /proj-secrets for /proj.
+function isPathInside(rootPath, targetPath) {
+    const relativePath = path.relative(rootPath, targetPath);
+    return relativePath === '' || (relativePath.split(path.sep)[0] !== '..' && !path.isAbsolute(relativePath));
+}
+
+// The real path (symlinks resolved) of targetPath. For a path that does not exist, that of its
+// closest existing ancestor with the rest appended, so it can still be checked for containment.
+function realPathOf(targetPath) {
+    const resolvedPath = path.resolve(targetPath);
+    try {
+        return fs.realpathSync.native(resolvedPath);
+    } catch (err) {
+        const parent = path.dirname(resolvedPath);
+        return parent === resolvedPath ? resolvedPath : path.join(realPathOf(parent), path.basename(resolvedPath));
+    }
+}
+
+// Resolves a path relative to the project (as used by tree nodes and the API) to an absolute
+// path. Throws a PathAccessError when it leads outside the project, either by itself or, unless
+// links are followed, through a symlink.
+function resolveProjectPath(projectPath, relativePath, symlinks = DEFAULT_SYMLINK_POLICY) {
+    if (typeof relativePath !== 'string' || relativePath.includes('\0') || path.isAbsolute(relativePath)) {
+        throw new PathAccessError('Invalid path: expected a path relative to the project');
+    }
+    const rootPath = path.resolve(projectPath);
+    const fullPath = path.resolve(rootPath, relativePath);
+    if (!isPathInside(rootPath, fullPath)) {
+        throw new PathAccessError();
+    }
+    if (symlinks === 'follow') {
+        return fullPath;
+    }
+
+    const realRoot = realPathOf(rootPath);
+    const realPath = realPathOf(fullPath);
+    const allowed = symlinks === 'skip'
+        ? realPath === path.join(realRoot, path.relative(rootPath, fullPath))
+        : isPathInside(realRoot, realPath);
+    if (!allowed) {
+        throw new PathAccessError('Access denied: Path leads outside the project through a symlink');
+    }
+    return fullPath;
+}
+
+// Returns a function that runs async tasks, with at most `concurrency` of them in flight.
+// Only leaf operations (stat, readdir, ...) should go through it: a task that waits for
+// other limited tasks could take up all the slots and never finish.
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// How often (at most) a running scan reports its progress
+const SCAN_PROGRESS_INTERVAL_MS = 100;
+
+// State shared by all steps of one project scan: the root that node paths are relative to,
+// the symlink policy, the filesystem concurrency limit, cancellation and progress counters.
+class TreeScan {
+    constructor(rootPath, { signal = null, onProgress = null, concurrency = 16, symlinks = DEFAULT_SYMLINK_POLICY } = {}) {
+        this.rootPath = rootPath;
+        this.realRoot = realPathOf(rootPath);
+        this.symlinks = symlinks;
+        this.signal = signal;
+        this.onProgress = onProgress;
+        this.limit = createLimiter(concurrency);
+        this.filesSeen = 0;
+        this.directoriesSeen = 0;
+        this.currentDirectory = '';
+        this.lastReport = 0;
+    }
+
+    throwIfCancelled() {
+        if (this.signal && this.signal.aborted) {
+            throw new CancelledError('Scan cancelled');
         }
-        h1 {
-            color: #333;
-            text-align: center;
+    }
+
+    // Runs one filesystem operation within the concurrency limit
+    run(operation) {
+        return this.limit(() => {
+            this.throwIfCancelled();
+            return operation();
+        });
+    }
+
+    // Sends { filesSeen, directoriesSeen, currentDirectory } to onProgress, throttled unless forced
+    report(force = false) {
+        const now = Date.now();
+        if (!this.onProgress || (!force && now - this.lastReport < SCAN_PROGRESS_INTERVAL_MS)) return;
+        this.lastReport = now;
+        this.onProgress({
+            filesSeen: this.filesSeen,
+            directoriesSeen: this.directoriesSeen,
+            currentDirectory: this.currentDirectory
+        });
+    }
+}
+
+// How often (at most) a running export reports its progress
+const EXPORT_PROGRESS_INTERVAL_MS = 100;
+// Files larger than this are copied into an export in chunks rather than read whole, when
+// the export needs no complete text of them (see exportToText)
+const EXPORT_STREAM_FILE_BYTES = 1024 * 1024;
+const TEXT_CHUNK_BYTES = 64 * 1024;
+// A chunk grows up to this size to end at a line break or to keep a private key together
+const TEXT_CHUNK_MAX_LENGTH = 1024 * 1024;
+// 57 bytes make one 76 character line of base64
+const BASE64_CHUNK_BYTES = 57 * 1024;
+
+// Reads a text file in chunks that end at a line break (unless a line is longer than
+// TEXT_CHUNK_MAX_LENGTH), so that line based work such as secret redaction sees whole lines.
+// A private key block is kept in one chunk as well.
+async function* readTextChunks(filePath) {
+    let pending = '';
+    for await (const data of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: TEXT_CHUNK_BYTES })) {
+        pending += data;
+        let cut = pending.lastIndexOf('\n') + 1;
+        const openKey = pending.search(/-----BEGIN[A-Z ]*PRIVATE KEY-----(?![\s\S]*-----END[A-Z ]*PRIVATE KEY-----)/);
+        if (openKey !== -1) {
+            cut = Math.min(cut, pending.lastIndexOf('\n', openKey) + 1);
         }
-        .input-group {
-            margin-bottom: 20px;
-            display: flex;
-            gap: 10px;
+        if (cut === 0 && pending.length >= TEXT_CHUNK_MAX_LENGTH) {
+            cut = pending.length;
         }
-        input[type="text"] {
-            flex: 1;
-            padding: 10px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            font-size: 16px;
+        if (cut > 0) {
+            yield pending.slice(0, cut);
+            pending = pending.slice(cut);
         }
-        button {
-            padding: 10px 20px;
+    }
+    if (pending) yield pending;
+}
+
+// Reads a binary file as base64 in lines of 76 characters, a chunk of lines at a time
+async function* readBase64Chunks(filePath) {
+    let rest = Buffer.alloc(0);
+    let first = true;
+    const encode = (buffer) => {
+        const text = (buffer.toString('base64').match(/.{1,76}/g) || []).join('\n');
+        const chunk = first ? text : '\n' + text;
+        first = false;
+        return chunk;
+    };
+    for await (const data of fs.createReadStream(filePath, { highWaterMark: BASE64_CHUNK_BYTES })) {
+        const buffer = Buffer.concat([rest, data]);
+        const whole = buffer.length - (buffer.length % 57);
+        rest = buffer.subarray(whole);
+        if (whole > 0) yield encode(buffer.subarray(0, whole));
+    }
+    if (rest.length > 0) yield encode(rest);
+}
+
+// A file write stream for export output. Write errors are picked up by writeToStream and
+// finished() instead of being raised as an unhandled 'error' event.
+function createOutputStream(filePath) {
+    const stream = fs.createWriteStream(filePath);
+    stream.on('error', () => {});
+    return stream;
+}
+
+// Appends text to a write stream, waiting for it to drain when its buffer is full
+async function writeToStream(stream, text) {
+    if (stream.errored) throw stream.errored;
+    if (!stream.write(text)) {
+        await EventEmitter.once(stream, 'drain');
+    }
+}
+
+// Limits for content searches: larger files are not searched, and only the first files with
+// matches come with snippets (every matching path is still returned)
+const SEARCH_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const SEARCH_SNIPPET_FILES = 200;
+const SEARCH_SNIPPETS_PER_FILE = 3;
+const SEARCH_SNIPPET_LENGTH = 200;
+// Only the start of longer lines (minified files, data) is searched
+const SEARCH_MAX_LINE_LENGTH = 10000;
+// Regex searches run in a worker thread, so that a pattern with catastrophic backtracking
+// can't block the server; the worker is stopped when it takes longer than this
+const SEARCH_REGEX_TIMEOUT_MS = 10 * 1000;
+
+// Builds the pattern for a content search. The query is literal text unless `regex` is set.
+function buildSearchPattern(query, { regex = false, caseSensitive = false } = {}) {
+    if (!query) {
+        throw new ValidationError('Search text is required');
+    }
+    // The SyntaxError of an invalid regex already reads "Invalid regular expression: ..."
+    try {
+        return new RegExp(regex ? query : escapeRegExp(query), caseSensitive ? '' : 'i');
+    } catch (err) {
+        throw new ValidationError(err.message);
+    }
+}
+
+// Searches files ({ path, fullPath }) line by line. Regex searches run this in a worker
+// thread (see runSearchWorker), so it only uses its arguments and what it requires itself.
+async function searchFiles(files, source, flags, limits, signal = null) {
+    const fs = require('fs');
+    const pattern = new RegExp(source, flags);
+    const results = [];
+    let matchCount = 0;
+    let skippedCount = 0;
+
+    for (const file of files) {
+        if (signal && signal.aborted) return null;
+
+        let content;
+        try {
+            content = await fs.promises.readFile(file.fullPath, 'utf8');
+        } catch (err) {
+            skippedCount++;
+            continue;
+        }
+
+        let matches = 0;
+        const snippets = [];
+        const withSnippets = results.length < limits.snippetFiles;
+        content.split('\n').forEach((line, index) => {
+            if (!pattern.test(line.slice(0, limits.maxLineLength))) return;
+            matches++;
+            if (withSnippets && snippets.length < limits.snippetsPerFile) {
+                snippets.push({ line: index + 1, text: line.trim().slice(0, limits.snippetLength) });
+            }
+        });
+        if (matches > 0) {
+            results.push({ path: file.path, matches, snippets });
+            matchCount += matches;
+        }
+    }
+    return { files: results, matchCount, skippedCount };
+}
+
+// Runs searchFiles in a worker thread that is stopped when the search is cancelled or
+// takes longer than SEARCH_REGEX_TIMEOUT_MS
+function runSearchWorker(files, pattern, limits, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new CancelledError('Search cancelled'));
+            return;
+        }
+        const worker = new Worker(`
+            const { parentPort, workerData } = require('worker_threads');
+            ${searchFiles.toString()}
+            searchFiles(workerData.files, workerData.source, workerData.flags, workerData.limits)
+                .then(result => parentPort.postMessage(result));
+        `, { eval: true, workerData: { files, source: pattern.source, flags: pattern.flags, limits } });
+
+        const stop = (err) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            worker.terminate();
+            if (err) reject(err);
+        };
+        const onAbort = () => stop(new CancelledError('Search cancelled'));
+        const timer = setTimeout(() => {
+            stop(new ValidationError(`The search was stopped after ${SEARCH_REGEX_TIMEOUT_MS / 1000} seconds; try a simpler regular expression`));
+        }, SEARCH_REGEX_TIMEOUT_MS);
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        worker.once('message', result => {
+            stop(null);
+            resolve(result);
+        });
+        worker.once('error', stop);
+    });
+}
+
+// Extensions tried, in this order, for import specifiers without one and for index files
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+// TypeScript sources are imported with the extension of their compiled output
+const TYPESCRIPT_SOURCE_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+// import x from '...', import '...', export { x } from '...' (including `import type`): the
+// keyword, a clause of names, braces and whitespace that is empty or ends with `from`, and the
+// quoted specifier. The clause is matched on its own, once per run of such characters, since
+// a single pattern for all of it backtracks for ages on long runs of spaces or names.
+const IMPORT_KEYWORD_PATTERN = /\b(?:import|export)\b/g;
+const IMPORT_CLAUSE_PATTERN = /[\w*{}\s,$]*/y;
+const IMPORT_SPECIFIER_PATTERN = /(['"])([^'"\n]+)\1/y;
+// require('...') and dynamic import('...') with a literal specifier
+const CALL_IMPORT_PATTERN = /\b(?:require|import)\s*\(\s*(['"`])([^'"`\n]+)\1\s*[),]/g;
+// Larger scripts (bundles, generated code) are selected but their imports are not followed
+const DEPENDENCY_SCAN_MAX_BYTES = 2 * 1024 * 1024;
+// String literals (kept) and comments (removed) of JS/TS source
+const SCRIPT_COMMENT_PATTERN = /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+
+function isScriptFile(filePath) {
+    return SCRIPT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function stripScriptComments(content) {
+    return content.replace(SCRIPT_COMMENT_PATTERN, (match, literal) => literal || '');
+}
+
+// The distinct module specifiers a JS/TS file imports: static imports first, then require()
+// and import() calls
+function findImportSpecifiers(content) {
+    const code = stripScriptComments(content);
+    const specifiers = new Set();
+    // Every keyword within one clause ends at the same specifier, so only the first is read
+    let clauseEnd = 0;
+    for (const keyword of code.matchAll(IMPORT_KEYWORD_PATTERN)) {
+        if (keyword.index < clauseEnd) continue;
+        IMPORT_CLAUSE_PATTERN.lastIndex = keyword.index + keyword[0].length;
+        IMPORT_CLAUSE_PATTERN.exec(code);
+        clauseEnd = IMPORT_CLAUSE_PATTERN.lastIndex;
+
+        const clause = code.slice(keyword.index + keyword[0].length, clauseEnd).trimEnd();
+        const endsWithFrom = clause.endsWith('from') && !/\w/.test(clause.charAt(clause.length - 5));
+        if (clause !== '' && !endsWithFrom) continue;
+        IMPORT_SPECIFIER_PATTERN.lastIndex = clauseEnd;
+        const match = IMPORT_SPECIFIER_PATTERN.exec(code);
+        if (match && !match[2].includes('${')) specifiers.add(match[2]);
+    }
+    for (const match of code.matchAll(CALL_IMPORT_PATTERN)) {
+        if (!match[2].includes('${')) specifiers.add(match[2]);
+    }
+    return [...specifiers];
+}
+
+// tsconfig.json and jsconfig.json allow comments and trailing commas
+function parseJsonWithComments(text) {
+    return JSON.parse(text.replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g, (match, literal) => literal || ''));
+}
+
+// Reads compilerOptions.baseUrl and compilerOptions.paths from the project's tsconfig.json
+// (or jsconfig.json). Paths come back relative to the project root; "extends" is not followed.
+async function readPathAliases(projectPath) {
+    for (const configName of ['tsconfig.json', 'jsconfig.json']) {
+        let config;
+        try {
+            config = parseJsonWithComments(await fs.promises.readFile(path.join(projectPath, configName), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`Error reading ${configName}: ${err.message}`);
+            continue;
+        }
+
+        const options = (config && config.compilerOptions) || {};
+        const baseUrl = typeof options.baseUrl === 'string'
+            ? path.posix.normalize(options.baseUrl.replace(/\\/g, '/'))
+            : null;
+        const aliases = Object.entries(options.paths || {})
+            .filter(([pattern, targets]) => Array.isArray(targets))
+            .map(([pattern, targets]) => {
+                const star = pattern.indexOf('*');
+                return {
+                    prefix: star === -1 ? pattern : pattern.slice(0, star),
+                    suffix: star === -1 ? null : pattern.slice(star + 1),
+                    targets: targets.map(target => path.posix.join(baseUrl || '.', target.replace(/\\/g, '/')))
+                };
+            })
+            // Like TypeScript, the longest matching prefix wins
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        return { baseUrl, aliases };
+    }
+    return { baseUrl: null, aliases: [] };
+}
+
+// Resolves import specifiers to files of the loaded project (node paths). Packages and
+// anything outside the project tree resolve to null.
+class ImportResolver {
+    constructor(nodeIndex, { baseUrl = null, aliases = [] } = {}) {
+        this.nodeIndex = nodeIndex;
+        this.baseUrl = baseUrl;
+        this.aliases = aliases;
+    }
+
+    resolve(fromPath, specifier) {
+        if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..') {
+            return this.resolveFile(path.posix.join(path.posix.dirname(fromPath), specifier));
+        }
+        if (specifier.startsWith('/')) return null;
+
+        for (const alias of this.aliases) {
+            let captured;
+            if (alias.suffix === null) {
+                if (specifier !== alias.prefix) continue;
+                captured = '';
+            } else {
+                if (!specifier.startsWith(alias.prefix) || !specifier.endsWith(alias.suffix)
+                    || specifier.length < alias.prefix.length + alias.suffix.length) continue;
+                captured = specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length);
+            }
+            for (const target of alias.targets) {
+                const resolved = this.resolveFile(target.replace('*', captured));
+                if (resolved) return resolved;
+            }
+        }
+
+        return this.baseUrl !== null ? this.resolveFile(path.posix.join(this.baseUrl, specifier)) : null;
+    }
+
+    // Tries the path as is, its TypeScript source, then with each extension and as a folder
+    // with an index file
+    resolveFile(candidate) {
+        const normalized = path.posix.normalize(candidate);
+        if (normalized === '..' || normalized.startsWith('../')) return null;
+
+        const candidates = [normalized];
+        const extension = path.posix.extname(normalized);
+        if (TYPESCRIPT_SOURCE_EXTENSIONS[extension]) {
+            const stem = normalized.slice(0, -extension.length);
+            candidates.push(...TYPESCRIPT_SOURCE_EXTENSIONS[extension].map(sourceExtension => stem + sourceExtension));
+        }
+        candidates.push(...SCRIPT_EXTENSIONS.map(scriptExtension => normalized + scriptExtension));
+        candidates.push(...SCRIPT_EXTENSIONS.map(scriptExtension => path.posix.join(normalized, 'index' + scriptExtension)));
+
+        return candidates.find(nodePath => {
+            const node = this.nodeIndex.get(nodePath);
+            return node && node.type === 'file';
+        }) || null;
+    }
+}
+
+// Credential formats the secret scanner knows. `group` is the part of the match that is the
+// secret itself (the whole match when absent), so e.g. the key name stays readable.
+// Assignments only count when the name ends in password, secret, token, ...
+// Values that look like placeholders (${VAR}, <your-key>, {{ secret }}) are not reported.
+const SECRET_PATTERNS = [
+    { type: 'private-key', pattern: /-----BEGIN[A-Z ]*PRIVATE KEY-----[\s\S]*?-----END[A-Z ]*PRIVATE KEY-----/gd },
+    { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/gd },
+    { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})/gd },
+    { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/gd },
+    { type: 'stripe-key', pattern: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}/gd },
+    { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/gd },
+    { type: 'api-key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/gd },
+    { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/gd },
+    { type: 'url-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@\/]+:((?![$<{])[^\s@\/]+)@/gid, group: 1 },
+    {
+        type: 'credential',
+        pattern: /[\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key)['"]?\s*[:=]\s*(['"])((?![$<{])[^'"\s]{6,})\1/gid,
+        group: 2
+    },
+    {
+        type: 'env-secret',
+        pattern: /^[ \t]*(?:export[ \t]+)?[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|ACCESS_KEY|PRIVATE_KEY)[ \t]*=[ \t]*(['"]?)((?![$<{])[^'"\s#]{6,})\1/gmd,
+        group: 2
+    }
+];
+
+// Long quoted strings and assigned values are reported when they look random, like most keys
+// and tokens: enough entropy, and upper case letters, lower case letters and digits mixed
+const ENTROPY_CANDIDATE_PATTERN = /(['"`])([A-Za-z0-9+\/_=-]{24,})\1|=[ \t]*([A-Za-z0-9+\/_=-]{24,})/gd;
+const SECRET_ENTROPY_THRESHOLD = 4.2; // Bits per character
+// Subresource integrity hashes (sha512-...) in lockfiles are random but not secret
+const INTEGRITY_HASH_PATTERN = /^sha\d+-/;
+
+// File names that usually hold credentials; they are flagged even when nothing is found inside.
+// Example files such as .env.example are not.
+const SENSITIVE_FILE_PATTERN = /^(?:\.env(?:\..+)?|id_(?:rsa|dsa|ecdsa|ed25519)|\.npmrc|\.pypirc|\.netrc|credentials(?:\.json)?|.+\.(?:pem|key|p12|pfx|keystore|jks))$/i;
+const EXAMPLE_FILE_PATTERN = /\.(?:example|sample|template|dist)$/i;
+
+function isSensitiveFileName(fileName) {
+    return SENSITIVE_FILE_PATTERN.test(fileName) && !EXAMPLE_FILE_PATTERN.test(fileName);
+}
+
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const probability = count / text.length;
+        entropy -= probability * Math.log2(probability);
+    }
+    return entropy;
+}
+
+function looksRandom(value) {
+    return !INTEGRITY_HASH_PATTERN.test(value) &&
+        /[A-Z]/.test(value) && /[a-z]/.test(value) && /[0-9]/.test(value) &&
+        shannonEntropy(value) >= SECRET_ENTROPY_THRESHOLD;
+}
+
+// Finds credentials in a file's content. Returns { type, start, end } character ranges,
+// sorted and without overlaps (known formats win over high-entropy matches).
+function findSecrets(content) {
+    const findings = [];
+    for (const { type, pattern, group = 0 } of SECRET_PATTERNS) {
+        for (const match of content.matchAll(pattern)) {
+            const [start, end] = match.indices[group];
+            findings.push({ type, start, end });
+        }
+    }
+    for (const match of content.matchAll(ENTROPY_CANDIDATE_PATTERN)) {
+        const group = match[2] !== undefined ? 2 : 3;
+        const [start, end] = match.indices[group];
+        if (looksRandom(match[group]) && !findings.some(finding => finding.start < end && start < finding.end)) {
+            findings.push({ type: 'high-entropy', start, end });
+        }
+    }
+
+    findings.sort((a, b) => a.start - b.start || b.end - a.end);
+    let lastEnd = 0;
+    return findings.filter(finding => {
+        if (finding.start < lastEnd) return false;
+        lastEnd = finding.end;
+        return true;
+    });
+}
+
+// Replaces every finding with a [REDACTED:<type>] marker
+function redactSecrets(content, findings) {
+    let text = '';
+    let position = 0;
+    for (const finding of findings) {
+        text += content.slice(position, finding.start) + `[REDACTED:${finding.type}]`;
+        position = finding.end;
+    }
+    return text + content.slice(position);
+}
+
+// Findings as shown in the review: line number and the line with the secret masked, so the
+// secret itself never leaves the server
+function describeSecrets(content, findings) {
+    let line = 1;
+    let position = 0;
+    return findings.map(finding => {
+        for (; position < finding.start; position++) {
+            if (content[position] === '\n') line++;
+        }
+        const lineStart = content.lastIndexOf('\n', finding.start - 1) + 1;
+        const lineEnd = content.indexOf('\n', finding.start) === -1 ? content.length : content.indexOf('\n', finding.start);
+        const secretEnd = Math.min(finding.end, lineEnd);
+        const masked = content.slice(finding.start, Math.min(finding.start + 4, secretEnd)) + '…';
+        const preview = content.slice(lineStart, finding.start) + masked + content.slice(secretEnd, lineEnd);
+        return { type: finding.type, line, preview: preview.trim().slice(0, SEARCH_SNIPPET_LENGTH) };
+    });
+}
+
+// String and regex literals (kept) and comments (removed) of C-like source, for the
+// strip-comments transform. A slash starts a regex literal where a value is expected, i.e.
+// after an operator, a bracket or `return`, so `/\/*/` doesn't open a comment.
+const C_STYLE_COMMENT_PATTERN = /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`|(?<=(?:^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*)\/(?![*/])(?:[^/\\\n[]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*)|\/\/[^\n]*|\/\*[\s\S]*?\*\//gm;
+
+// Comment syntax per language family, for the strip-comments and remove-license-header
+// transforms. `pattern` matches string literals (group 1, kept) or comments (removed), and
+// `header` a comment block at the start of the file.
+const COMMENT_SYNTAXES = [
+    {
+        languages: ['javascript', 'jsx', 'typescript', 'tsx', 'jsonc', 'json5', 'java', 'kotlin', 'scala', 'groovy',
+            'c', 'cpp', 'csharp', 'objectivec', 'go', 'rust', 'swift', 'dart', 'php'],
+        pattern: C_STYLE_COMMENT_PATTERN,
+        header: /^\s*(?:\/\*[\s\S]*?\*\/|(?:[ \t]*\/\/[^\n]*(?:\n|$))+)/
+    },
+    {
+        languages: ['python'],
+        pattern: /("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|#[^\n]*/g,
+        header: /^\s*(?:[ \t]*#[^\n]*(?:\n|$))+/
+    },
+    {
+        // A # only starts a comment at the start of a line or after whitespace ($#, url#anchor)
+        languages: ['bash', 'fish', 'powershell', 'ruby', 'perl', 'r', 'elixir', 'yaml', 'toml', 'ini', 'dotenv',
+            'dockerfile', 'makefile', 'cmake', 'gitignore'],
+        pattern: /("(?:[^"\\]|\\.)*"|'[^'\n]*')|(?<=^|[ \t])#[^\n]*/gm,
+        header: /^\s*(?:[ \t]*#[^\n]*(?:\n|$))+/
+    },
+    {
+        languages: ['css', 'scss', 'sass', 'less'],
+        pattern: /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\/\*[\s\S]*?\*\//g,
+        header: /^\s*\/\*[\s\S]*?\*\//
+    },
+    {
+        languages: ['html', 'xml', 'vue', 'svelte'],
+        pattern: /<!--[\s\S]*?-->/g,
+        header: /^\s*<!--[\s\S]*?-->/
+    },
+    {
+        languages: ['sql'],
+        pattern: /('(?:[^']|'')*'|"(?:[^"]|"")*")|--[^\n]*|\/\*[\s\S]*?\*\//g,
+        header: /^\s*(?:\/\*[\s\S]*?\*\/|(?:[ \t]*--[^\n]*(?:\n|$))+)/
+    }
+];
+
+// A shebang or XML declaration stays at the top of the file whatever the transforms do
+const PROLOG_PATTERN = /^(?:#![^\n]*(?:\n|$)|<\?xml[^>]*\?>[ \t]*(?:\r?\n)?)/;
+const LICENSE_HEADER_PATTERN = /copyright|licen[cs]e|spdx-license-identifier|all rights reserved/i;
+// Stands in for a removed comment until the lines it leaves empty are dropped
+const COMMENT_MARK = '\u0000';
+
+function commentSyntaxFor(filePath) {
+    const language = detectLanguage(filePath);
+    return COMMENT_SYNTAXES.find(syntax => syntax.languages.includes(language)) || null;
+}
+
+function splitProlog(content) {
+    const prolog = (PROLOG_PATTERN.exec(content) || [''])[0];
+    return { prolog, body: content.slice(prolog.length) };
+}
+
+// Removes comments, and the lines that held nothing else
+function stripComments(content, syntax) {
+    const { prolog, body } = splitProlog(content);
+    // Without capture groups the second argument is the offset, not a string literal
+    const marked = body.replace(syntax.pattern, (match, literal) => typeof literal === 'string' ? literal : COMMENT_MARK);
+    return prolog + marked
+        .replace(/^[ \t]*\u0000[ \t\u0000]*(?:\r?\n|$)/gm, '')
+        .replace(/[ \t]*\u0000/g, '');
+}
+
+// Removes the comment block at the top of the file if it reads like a license or copyright notice
+function removeLicenseHeader(content, syntax) {
+    const { prolog, body } = splitProlog(content);
+    const header = syntax.header.exec(body);
+    if (!header || !LICENSE_HEADER_PATTERN.test(header[0])) return content;
+    return prolog + body.slice(header[0].length).replace(/^(?:[ \t]*\r?\n)+/, '');
+}
+
+// Optional transforms that make exported files smaller, applied in this order to the content
+// of every text file (not to diffs). Comment-aware transforms skip languages they do not know.
+const CONTENT_TRANSFORMS = {
+    'remove-license-header': {
+        label: 'Remove license headers',
+        apply: (content, syntax) => syntax ? removeLicenseHeader(content, syntax) : content
+    },
+    'strip-comments': {
+        label: 'Strip comments',
+        apply: (content, syntax) => syntax ? stripComments(content, syntax) : content
+    },
+    'trim-trailing-whitespace': {
+        label: 'Trim trailing whitespace',
+        apply: content => content.replace(/[ \t]+(?=\r?$)/gm, '')
+    },
+    'collapse-blank-lines': {
+        label: 'Collapse blank lines',
+        apply: content => content.replace(/(\r?\n)(?:[ \t]*\r?\n){2,}/g, '$1$1')
+    }
+};
+
+// Applies the named transforms (see CONTENT_TRANSFORMS) to a file's content
+function applyContentTransforms(content, filePath, transforms) {
+    const syntax = commentSyntaxFor(filePath);
+    return Object.entries(CONTENT_TRANSFORMS)
+        .filter(([name]) => transforms.includes(name))
+        .reduce((text, [, transform]) => transform.apply(text, syntax), content);
+}
+
+// Validates line ranges ({ start, end }, 1-based and inclusive) and returns them sorted, with
+// overlapping and adjacent ranges merged
+function normalizeLineRanges(ranges) {
+    if (!Array.isArray(ranges)) {
+        throw new ValidationError('ranges must be a list of { start, end } line ranges');
+    }
+    const sorted = ranges.map(range => {
+        const start = Number(range && range.start);
+        const end = Number(range && range.end);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < 1) {
+            throw new ValidationError('Line ranges need whole line numbers starting at 1');
+        }
+        return start <= end ? { start, end } : { start: end, end: start };
+    }).sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+// Cuts line ranges out of a file's content as [{ range, content }]. Ranges that reach past
+// the end of the file (it may have changed since they were picked) are clipped or dropped.
+function extractLineRanges(content, ranges) {
+    const lines = content.split('\n');
+    if (content.endsWith('\n')) lines.pop();
+    return ranges
+        .filter(range => range.start <= lines.length)
+        .map(range => {
+            const end = Math.min(range.end, lines.length);
+            return { range: { start: range.start, end }, content: lines.slice(range.start - 1, end).join('\n') };
+        });
+}
+
+// Token rules for the preview's syntax highlighter, tried left to right at every position.
+// Each rule is [css class, regex source without capturing groups]. Constructs that span
+// lines (block comments, template strings) are only recognized within the page being shown;
+// one that is still open at the end of the page is highlighted to the end.
+const C_KEYWORDS = 'abstract|as|async|await|break|case|catch|class|const|continue|default|defer|delete|do|else|enum|' +
+    'export|extends|false|final|finally|fn|for|from|func|function|go|if|impl|implements|import|in|instanceof|' +
+    'interface|let|match|mod|mut|new|nil|null|package|private|protected|pub|public|return|self|static|struct|' +
+    'super|switch|this|throw|throws|trait|true|try|type|typeof|undefined|use|var|void|while|yield';
+const HIGHLIGHT_GRAMMARS = [
+    {
+        languages: ['javascript', 'jsx', 'typescript', 'tsx', 'java', 'kotlin', 'scala', 'groovy', 'c', 'cpp',
+            'csharp', 'objectivec', 'go', 'rust', 'swift', 'dart', 'php'],
+        rules: [
+            ['tok-comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+            ['tok-string', String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|` + '`(?:[^`\\\\]|\\\\.)*`'],
+            ['tok-meta', String.raw`^[ \t]*#[a-z]+|@[A-Za-z_]\w*`],
+            ['tok-keyword', String.raw`\b(?:${C_KEYWORDS})\b`],
+            ['tok-number', String.raw`\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`]
+        ]
+    },
+    {
+        languages: ['python'],
+        rules: [
+            ['tok-comment', String.raw`#[^\n]*`],
+            ['tok-string', String.raw`"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S]))|[rbfu]?"(?:[^"\\\n]|\\.)*"|[rbfu]?'(?:[^'\\\n]|\\.)*'`],
+            ['tok-meta', String.raw`@[A-Za-z_][\w.]*`],
+            ['tok-keyword', String.raw`\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|False|finally|for|from|global|if|import|in|is|lambda|None|nonlocal|not|or|pass|raise|return|self|True|try|while|with|yield)\b`],
+            ['tok-number', String.raw`\b\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+        ]
+    },
+    {
+        languages: ['bash', 'fish', 'dockerfile', 'makefile', 'dotenv', 'yaml', 'toml', 'ini', 'gitignore', 'ruby', 'perl', 'r'],
+        rules: [
+            ['tok-comment', String.raw`(?<=^|[ \t])#[^\n]*`],
+            ['tok-string', String.raw`"(?:[^"\\\n]|\\.)*"|'[^'\n]*'`],
+            ['tok-variable', String.raw`\$\{[^}\n]*\}|\$[A-Za-z_]\w*|\$[0-9#?@*$!-]`],
+            ['tok-keyword', String.raw`\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|then|until|while|FROM|RUN|CMD|COPY|ADD|ENV|ARG|WORKDIR|EXPOSE|ENTRYPOINT|USER|VOLUME|LABEL|true|false|null)\b`],
+            ['tok-attr', String.raw`^[ \t]*[\w.-]+(?=[ \t]*[:=])|^\[[^\]\n]+\]`],
+            ['tok-number', String.raw`\b\d+(?:\.\d+)?\b`]
+        ]
+    },
+    {
+        languages: ['css', 'scss', 'sass', 'less'],
+        rules: [
+            ['tok-comment', String.raw`\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+            ['tok-string', String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'`],
+            ['tok-meta', String.raw`@[\w-]+`],
+            ['tok-variable', String.raw`(?:\$|--)[\w-]+`],
+            ['tok-attr', String.raw`[\w-]+(?=[ \t]*:[^:\n]*;)`],
+            ['tok-number', String.raw`#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?`]
+        ]
+    },
+    {
+        languages: ['html', 'xml', 'vue', 'svelte'],
+        rules: [
+            ['tok-comment', String.raw`<!--[\s\S]*?(?:-->|(?![\s\S]))`],
+            ['tok-tag', String.raw`<\/?[\w:.-]+|\/?>|<![A-Za-z]+|<\?[\w:-]*|\?>`],
+            ['tok-attr', String.raw`[\w:@.-]+(?==)`],
+            ['tok-string', String.raw`"[^"]*"|'[^']*'`]
+        ]
+    },
+    {
+        languages: ['json', 'jsonc', 'json5'],
+        rules: [
+            ['tok-comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+            ['tok-attr', String.raw`"(?:[^"\\\n]|\\.)*"(?=\s*:)`],
+            ['tok-string', String.raw`"(?:[^"\\\n]|\\.)*"`],
+            ['tok-keyword', String.raw`\b(?:true|false|null)\b`],
+            ['tok-number', String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+        ]
+    },
+    {
+        languages: ['sql'],
+        rules: [
+            ['tok-comment', String.raw`--[^\n]*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`],
+            ['tok-string', String.raw`'(?:[^']|'')*'`],
+            ['tok-keyword', String.raw`\b(?:add|all|alter|and|as|asc|begin|between|by|case|commit|create|cross|default|delete|desc|distinct|drop|else|end|exists|foreign|from|full|group|having|in|index|inner|insert|into|is|join|key|left|like|limit|not|null|offset|on|or|order|outer|primary|references|right|rollback|select|set|table|then|union|unique|update|values|view|when|where|with)\b`],
+            ['tok-number', String.raw`\b\d+(?:\.\d+)?\b`]
+        ]
+    }
+].map(grammar => ({
+    languages: grammar.languages,
+    classes: grammar.rules.map(([className]) => className),
+    pattern: new RegExp(grammar.rules.map(([, source]) => `(${source})`).join('|'),
+        grammar.languages.includes('sql') ? 'gmi' : 'gm')
+}));
+
+// Highlights source text for the preview and returns one HTML string per line. Tokens never
+// span lines in the output, so every line can be rendered on its own.
+function highlightLines(text, language) {
+    const grammar = HIGHLIGHT_GRAMMARS.find(candidate => candidate.languages.includes(language));
+    if (!grammar) {
+        return text.split('\n').map(escapeXml);
+    }
+
+    let html = '';
+    let position = 0;
+    for (const match of text.matchAll(grammar.pattern)) {
+        if (match[0] === '') continue;
+        const className = grammar.classes[match.slice(1).findIndex(group => group !== undefined)];
+        html += escapeXml(text.slice(position, match.index));
+        html += match[0].split('\n').map(part => part ? `<span class="${className}">${escapeXml(part)}</span>` : '').join('\n');
+        position = match.index + match[0].length;
+    }
+    html += escapeXml(text.slice(position));
+    return html.split('\n');
+}
+
+// The preview reads large files a page at a time. For that, every PREVIEW_CHECKPOINT_LINES-th
+// line start is remembered, so a page is read from the nearest checkpoint instead of from
+// the start of the file.
+const PREVIEW_PAGE_LINES = 500;
+const PREVIEW_MAX_PAGE_LINES = 5000;
+const PREVIEW_CHECKPOINT_LINES = 1000;
+
+// Scans a file once for its line count and checkpoint offsets
+async function buildLineIndex(filePath) {
+    const checkpoints = [0];
+    let lineCount = 0;
+    let offset = 0;
+    let lastByte = null;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        let newline = chunk.indexOf(10);
+        while (newline !== -1) {
+            lineCount++;
+            if (lineCount % PREVIEW_CHECKPOINT_LINES === 0) {
+                checkpoints.push(offset + newline + 1);
+            }
+            newline = chunk.indexOf(10, newline + 1);
+        }
+        offset += chunk.length;
+        lastByte = chunk[chunk.length - 1];
+    }
+    // A last line without a newline still counts
+    if (lastByte !== null && lastByte !== 10) lineCount++;
+    return { checkpoints, lineCount };
+}
+// Longer lines are cut in the preview; minified files can be megabytes on a single line
+const PREVIEW_MAX_LINE_LENGTH = 10000;
+
+class ProjectExporter {
+    constructor() {
+        this.projectPath = '';
+        this.projectTree = null;
+        // The include/exclude/useGitignore options projectTree was built with
+        this.loadOptions = null;
+        // Every node of projectTree by its relative path, so lookups don't walk the tree
+        this.nodeIndex = new Map();
+        this.selectedPaths = new Set();
+        // Selected files that are only exported in part: path -> [{ start, end }] line ranges
+        this.lineRanges = new Map();
+        // Token counts per model, absolute file path (and line ranges), reused while the file's
+        // size and mtime are unchanged; in order of last use, at most TOKEN_CACHE_LIMIT entries
+        this.tokenCache = new Map();
+        // Line indexes for paging through the preview (see buildLineIndex), cached the same way
+        this.lineIndexCache = new Map();
+        // Define default common exclusion patterns.
+        // Plain names match a folder/file with that name at any depth.
+        this.defaultExcludePatterns = [
+            'node_modules', '.git', '.vscode', 'package-lock.json',
+            'yarn.lock', 'build', 'dist', 'temp'
+        ];
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    // Modified buildTree method to store paths relative to the root of the scan
+    // Now accepts the PathFilter built from the client's include/exclude patterns, and
+    // optionally the IgnoreRules (.gitignore and friends) that apply to currentDirPath.
+    // The walk is asynchronous so the server keeps answering requests while a big project
+    // is scanned; `scan` limits filesystem concurrency and carries progress and cancellation.
+    // `ancestors` holds the real paths of the directories above, to stop at symlink loops.
+    async buildTree(currentDirPath, filter = null, ignoreRules = null, scan = new TreeScan(currentDirPath), ancestors = []) {
+        const name = path.basename(currentDirPath);
+        // The root is taken as given; below it links are handled according to scan.symlinks
+        let stats = await scan.run(() => ancestors.length === 0 ? fs.promises.stat(currentDirPath) : fs.promises.lstat(currentDirPath));
+        let realPath = ancestors.length === 0 ? scan.realRoot : path.join(ancestors[ancestors.length - 1], name);
+        if (stats.isSymbolicLink()) {
+            if (scan.symlinks === 'skip') {
+                return null;
+            }
+            try {
+                realPath = await scan.run(() => fs.promises.realpath(currentDirPath));
+                stats = await scan.run(() => fs.promises.stat(realPath));
+            } catch (err) {
+                if (err instanceof CancelledError) throw err;
+                return null; // Broken link
+            }
+            if (scan.symlinks === 'within-root' && !isPathInside(scan.realRoot, realPath)) {
+                return null;
+            }
+        }
+        const isDirectory = stats.isDirectory();
+
+        let nodePath = path.relative(scan.rootPath, currentDirPath);
+        nodePath = nodePath.replace(/\\/g, '/'); // Normalize path separators
+
+        // Crucial: Do not exclude the project's root directory, even if it matches a pattern.
+        // This ensures the tree always starts from the specified project path.
+        if (nodePath !== '') {
+            if (filter && filter.excludes(nodePath, isDirectory)) {
+                return null; // Skip this item and its children if it matches an exclude pattern
+            }
+            if (ignoreRules && ignoreRules.ignores(nodePath, isDirectory)) {
+                return null; // Ignored by a .gitignore, .exporterignore or .git/info/exclude rule
+            }
+            if (filter && !isDirectory && !filter.includes(nodePath)) {
+                return null; // Not part of the requested include patterns
+            }
+        }
+
+        if (isDirectory) {
+            if (ancestors.includes(realPath)) {
+                console.warn(`Skipping ${nodePath}: symlink loop back to ${realPath}`);
+                return null;
+            }
+            scan.directoriesSeen++;
+            scan.currentDirectory = nodePath;
+            scan.report();
+
+            // Ignore files inside this directory apply to everything below it
+            const childRules = ignoreRules
+                ? await scan.run(() => ignoreRules.forDirectory(currentDirPath, nodePath))
+                : null;
+
+            let items = [];
+            try {
+                items = await scan.run(() => fs.promises.readdir(currentDirPath));
+            } catch (err) {
+                if (err instanceof CancelledError) throw err;
+                console.error(`Error reading directory ${currentDirPath}: ${err.message}`);
+            }
+
+            // Children are scanned concurrently; readdir order is kept for the result
+            const results = await Promise.all(items.map(item => {
+                const itemPath = path.join(currentDirPath, item);
+                // Pass the filter and ignore rules down to recursive calls
+                return this.buildTree(itemPath, filter, childRules, scan, [...ancestors, realPath]).catch(err => {
+                    if (err instanceof CancelledError) throw err;
+                    console.error(`Error reading ${itemPath}: ${err.message}`);
+                    return null;
+                });
+            }));
+            const children = results.filter(Boolean);
+            const totalSize = children.reduce((sum, child) => sum + child.size, 0);
+
+            // With include patterns, directories that ended up without any matching files are dropped
+            if (filter && filter.hasIncludes && children.length === 0 && nodePath !== '') {
+                return null;
+            }
+
+            return {
+                name,
+                path: nodePath,
+                type: 'directory',
+                size: totalSize,
+                children
+            };
+        } else {
+            const binary = await scan.run(() => isBinaryFile(currentDirPath));
+            scan.filesSeen++;
+            scan.report();
+            return {
+                name,
+                path: nodePath,
+                type: 'file',
+                size: stats.size,
+                binary
+            };
+        }
+    }
+
+    // Validates projectPath, scans it and resets the selection.
+    // Options: include/exclude glob patterns, useGitignore (honor .gitignore files) and the
+    // symlinks policy (one of SYMLINK_POLICIES).
+    // Control: an AbortSignal to cancel the scan and an onProgress callback (see TreeScan).
+    // The previously loaded project stays in place until the new scan has completed.
+    async loadProject(projectPath, { include = [], exclude = [], useGitignore = false, symlinks = DEFAULT_SYMLINK_POLICY } = {}, { signal = null, onProgress = null } = {}) {
+        if (!SYMLINK_POLICIES.includes(symlinks)) {
+            throw new ValidationError(`Unsupported symlink policy: ${symlinks}`);
+        }
+        let stats;
+        try {
+            stats = await fs.promises.stat(projectPath);
+        } catch (err) {
+            throw new ValidationError('Path does not exist');
+        }
+        if (!stats.isDirectory()) {
+            throw new ValidationError('Provided path is not a directory');
+        }
+
+        const scan = new TreeScan(projectPath, { signal, onProgress, symlinks });
+        const filter = new PathFilter(include, exclude);
+        const ignoreRules = useGitignore ? await IgnoreRules.forProject(projectPath) : null;
+        const tree = await this.buildTree(projectPath, filter, ignoreRules, scan);
+        scan.throwIfCancelled();
+        scan.report(true);
+
+        this.projectPath = projectPath;
+        this.projectTree = tree;
+        this.loadOptions = { include, exclude, useGitignore: Boolean(useGitignore), symlinks };
+        this.selectedPaths.clear();
+        this.lineRanges.clear();
+        this.nodeIndex = new Map();
+
+        // Add formatted size to nodes and index them by path
+        const indexNode = (node) => {
+            node.formattedSize = this.formatFileSize(node.size);
+            this.nodeIndex.set(node.path, node);
+            if (node.children) {
+                node.children.forEach(indexNode);
+            }
+        };
+        indexNode(this.projectTree);
+        return this.projectTree;
+    }
+
+    // A copy of the loaded project and selection for a job that runs on while the session goes
+    // on. Loading another project replaces the project fields of this exporter and clears its
+    // selection, so the copy keeps exporting the project the job was started for.
+    snapshot() {
+        const copy = new ProjectExporter();
+        Object.assign(copy, this, { selectedPaths: new Set(this.selectedPaths), lineRanges: new Map(this.lineRanges) });
+        return copy;
+    }
+
+    // Absolute path of a file or directory of the loaded project; throws a PathAccessError for
+    // paths that lead outside it (see resolveProjectPath)
+    resolvePath(relativePath) {
+        if (!this.projectPath) {
+            throw new ValidationError('No project loaded');
+        }
+        return resolveProjectPath(this.projectPath, relativePath, this.loadOptions ? this.loadOptions.symlinks : DEFAULT_SYMLINK_POLICY);
+    }
+
+    // Selected files in `skipped` (left out of the export as sensitive) are marked [-]
+    formatTreeToString(node, indent = '', isLast = true, skipped = new Set()) {
+        const lines = [];
+        const displayName = node.path === '' ? path.basename(this.projectPath) : node.name;
+        const prefix = isLast ? '└── ' : '├── ';
+        const icon = node.type === 'directory' ? '📁' : '📄';
+        const size = node.formattedSize ? ` (${node.formattedSize})` : '';
+        const binaryTag = node.binary ? ' [binary]' : '';
+
+        const isNodeSelected = this.selectedPaths.has(node.path);
+        const isSkipped = skipped.has(node.path);
+        const selectedIndicator = isSkipped ? '[-] ' : (isNodeSelected ? '[X] ' : '[ ] ');
+        const skippedTag = isSkipped ? ' (sensitive, skipped)' : '';
+
+        lines.push(`${indent}${prefix}${selectedIndicator}${icon} ${displayName}${size}${binaryTag}${skippedTag}`);
+
+        if (node.children && node.children.length > 0) {
+            const childIndent = indent + (isLast ? '    ' : '│   ');
+            for (let i = 0; i < node.children.length; i++) {
+                const child = node.children[i];
+                const childIsLast = (i === node.children.length - 1);
+                lines.push(this.formatTreeToString(child, childIndent, childIsLast, skipped));
+            }
+        }
+        return lines.join('\n');
+    }
+
+
+    generateUniqueFilename(baseName = 'export', extension = '.txt') {
+        const timestamp = new Date().toISOString()
+            .replace(/:/g, '-')
+            .replace(/\..+/, '')
+            .replace('T', '_');
+        return `${baseName}_${timestamp}${extension}`;
+    }
+
+    // Expands {project}, {date}, {time}, {timestamp} and {format} in a custom file name.
+    // Names without placeholders are used as they are; templates get the format's extension
+    // unless they already end with one.
+    applyFilenameTemplate(template, format, extension) {
+        if (!/\{\w+\}/.test(template)) return template;
+
+        const [date, time] = new Date().toISOString().replace(/\..+/, '').split('T');
+        const values = {
+            project: path.basename(this.projectPath),
+            date,
+            time: time.replace(/:/g, '-'),
+            timestamp: `${date}_${time.replace(/:/g, '-')}`,
+            format
+        };
+        const fileName = template
+            .replace(/\{(\w+)\}/g, (match, key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match))
+            .replace(/[\\/]/g, '_');
+        return path.extname(fileName) ? fileName : fileName + extension;
+    }
+
+    // Path in the exports directory for an export called customName (or a generated name).
+    // The expanded name has to be a plain file name, see exportFilePath.
+    exportOutputPath(customName, format) {
+        const extension = EXPORT_FORMATS[format].extension;
+        const fileName = customName
+            ? this.applyFilenameTemplate(customName, format, extension)
+            : this.generateUniqueFilename(`${path.basename(this.projectPath)}_export`, extension);
+        const outputPath = exportFilePath(fileName);
+        if (!outputPath) {
+            throw new ValidationError(`Invalid export name "${fileName}": use a file name without folders that does not start with a dot`);
+        }
+        return outputPath;
+    }
+
+    // Writes the export into the exports/ directory (or to options.outputPath when given),
+    // using one of the EXPORT_FORMATS (options.format, plain text by default).
+    // Binary files are only listed, unless options.includeBinary embeds them as base64.
+    // With options.maxPartBytes / options.maxPartTokens the output is split into several
+    // numbered parts (name_part1.txt, name_part2.txt, ...) that each stay under the limit.
+    // Files are read and appended one at a time: their sections are streamed into temporary
+    // body files (one per part), and each output is assembled as header + body + footer at
+    // the end, when the file count and the number of parts are known.
+    // Control: an AbortSignal to cancel the export and an onProgress callback that receives
+    // { filesDone, fileTotal, bytesDone, byteTotal, currentFile }.
+    async exportToText(customName = null, options = {}, { signal = null, onProgress = null } = {}) {
+        const format = options.format || 'txt';
+        const formatter = EXPORT_FORMATS[format];
+        if (!formatter) {
+            throw new ValidationError(`Unsupported export format: ${format}`);
+        }
+        const throwIfCancelled = () => {
+            if (signal && signal.aborted) {
+                throw new CancelledError('Export cancelled');
+            }
+        };
+
+        let fileCount = 0;
+        let binaryCount = 0;
+        let unchangedCount = 0;
+        let totalSize = 0;
+        const errors = [];
+        const projectName = path.basename(this.projectPath);
+
+        // The selection is copied, so changing it while the export runs has no effect.
+        // Files whose name suggests credentials (.env, private keys, ...) are left out unless
+        // options.includeSensitiveFiles is set; `skippedSensitive` lists them.
+        const selectedNodes = [...this.selectedPaths]
+            .map(selectedPath => this.findNode(this.projectTree, selectedPath))
+            .filter(node => node && node.type === 'file');
+        const skipsSensitive = node => !options.includeSensitiveFiles && isSensitiveFileName(node.name);
+        const skippedSensitive = selectedNodes.filter(skipsSensitive).map(node => node.path);
+        const nodes = selectedNodes.filter(node => !skipsSensitive(node));
+        const lineRanges = new Map(this.lineRanges);
+        const expectedFileCount = nodes.filter(node => !node.binary || options.includeBinary).length;
+
+        const { diffMode, diffBase, transforms } = this.contentOptions(options);
+        // `savings` sums up the size and token count of transformed files before and after
+        const savings = transforms.length > 0 ? { bytesBefore: 0, bytesAfter: 0, tokensBefore: 0, tokensAfter: 0 } : null;
+        const transform = (node, text) => {
+            if (!savings) return text;
+            const transformed = applyContentTransforms(text, node.path, transforms);
+            const model = options.tokenModel || DEFAULT_TOKENIZER_MODEL;
+            savings.bytesBefore += Buffer.byteLength(text);
+            savings.bytesAfter += Buffer.byteLength(transformed);
+            savings.tokensBefore += estimateTokens(text, model);
+            savings.tokensAfter += estimateTokens(transformed, model);
+            return transformed;
+        };
+
+        // Credentials found in text files are replaced by [REDACTED:<type>] unless
+        // options.redactSecrets is false. `redactions` lists how many were replaced per file.
+        const shouldRedact = options.redactSecrets !== false;
+        const redactions = [];
+        let fileRedactions = 0;
+        const redact = (text) => {
+            if (!shouldRedact) return text;
+            const findings = findSecrets(text);
+            fileRedactions += findings.length;
+            return findings.length > 0 ? redactSecrets(text, findings) : text;
+        };
+        const gitChanges = diffBase ? await getGitStatus(this.projectPath) : null;
+        if (diffBase && !gitChanges) {
+            throw new ValidationError('Diffs can only be exported from a project inside a git repository');
+        }
+
+        // Shared by the header and footer of every output file. The file count is what the
+        // selection promises until the files have actually been read.
+        const context = {
+            projectName,
+            generatedAt: new Date().toISOString(),
+            fileCount: expectedFileCount,
+            hasContent: expectedFileCount > 0,
+            tree: this.projectTree ? this.formatTreeToString(this.projectTree, '', true, new Set(skippedSensitive)) : null,
+            treeData: this.projectTree ? this.serializeTree(this.projectTree, new Set(skippedSensitive)) : null,
+            part: null,
+            isLast: true
+        };
+
+        const outputPath = options.outputPath
+            ? path.resolve(options.outputPath)
+            : this.exportOutputPath(customName, format);
+
+        const exportsDir = path.dirname(outputPath);
+        await fs.promises.mkdir(exportsDir, { recursive: true });
+
+        const limits = {
+            maxBytes: options.maxPartBytes > 0 ? options.maxPartBytes : null,
+            maxTokens: options.maxPartTokens > 0 ? options.maxPartTokens : null,
+            model: options.tokenModel || DEFAULT_TOKENIZER_MODEL
+        };
+        const isSplit = Boolean(limits.maxBytes || limits.maxTokens);
+
+        const byteTotal = nodes.reduce((sum, node) => sum + node.size, 0);
+        let bytesDone = 0;
+        let lastReport = 0;
+        const report = (currentFile, force = false) => {
+            const now = Date.now();
+            if (!onProgress || (!force && now - lastReport < EXPORT_PROGRESS_INTERVAL_MS)) return;
+            lastReport = now;
+            onProgress({ filesDone: fileCount + binaryCount + unchangedCount + errors.length, fileTotal: nodes.length, bytesDone, byteTotal, currentFile });
+        };
+
+        // Large files are streamed into the body when nothing needs their complete text:
+        // transforms, line ranges and diffs work on the whole file, and part limits cut files
+        // along measured lines. A file that can't be read to the end is closed where it broke
+        // off and followed by an error section, and counts as an error instead of a file.
+        const streamsLargeFiles = !isSplit && transforms.length === 0 && diffMode === 'none';
+        const streamedFileBlock = (node, fullPath) => {
+            const entry = { path: node.path, size: node.size, language: node.binary ? '' : detectLanguage(node.path) };
+            if (node.binary) entry.encoding = 'base64';
+            const chunks = () => (node.binary ? readBase64Chunks(fullPath) : readTextChunks(fullPath));
+            const write = async (body) => {
+                const section = formatter.fileStream(entry);
+                let started = false;
+                try {
+                    if (section.scan) {
+                        for await (const chunk of chunks()) section.scan(chunk);
+                    }
+                    fileRedactions = 0;
+                    await writeToStream(body, section.start());
+                    started = true;
+                    for await (const chunk of chunks()) {
+                        throwIfCancelled();
+                        await writeToStream(body, section.encode(node.binary ? chunk : redact(chunk)));
+                    }
+                    await writeToStream(body, section.end());
+                } catch (err) {
+                    if (err instanceof CancelledError) throw err;
+                    const message = started ? `${err.message} (the content above is incomplete)` : err.message;
+                    console.error(`Error reading file ${node.path}: ${message}`);
+                    if (started) await writeToStream(body, section.end() + formatter.separator);
+                    await writeToStream(body, formatter.error({ path: node.path, message }));
+                    errors.push({ path: node.path, message });
+                    fileCount--;
+                    totalSize -= node.size;
+                    return;
+                }
+                if (fileRedactions > 0) {
+                    redactions.push({ path: node.path, count: fileRedactions });
+                }
+            };
+            return { path: node.path, size: node.size, text: write };
+        };
+
+        const packer = this.createPartPacker(formatter, context, limits);
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'project-export-'));
+        const openBody = (part) => {
+            if (!part.body) {
+                part.bodyPath = path.join(tempDir, `part${part.index + 1}.body`);
+                part.body = createOutputStream(part.bodyPath);
+            }
+            return part.body;
+        };
+        const closeBody = async (part) => {
+            if (part.body && !part.body.writableEnded) {
+                part.body.end();
+                await finished(part.body);
+            }
+        };
+        // Appends the sections the packer has placed since the last call to the part bodies.
+        // Parts before the current one are complete, so their bodies can be closed.
+        // Streamed sections are functions that write themselves.
+        const flushParts = async () => {
+            for (const part of packer.parts) {
+                for (const text of part.pending) {
+                    const body = openBody(part);
+                    if (part.written > 0) await writeToStream(body, formatter.separator);
+                    if (typeof text === 'function') {
+                        await text(body);
+                    } else {
+                        await writeToStream(body, text);
+                    }
+                    part.written++;
+                }
+                part.pending = [];
+                if (part !== packer.parts[packer.parts.length - 1]) {
+                    await closeBody(part);
+                }
+            }
+        };
+
+        const parts = [];
+        try {
+            // Every selected file becomes one block (two with content and diff), so parts can
+            // be cut along file boundaries
+            for (const node of nodes) {
+                throwIfCancelled();
+                report(node.path);
+
+                const blocks = [];
+                if (node.binary && !options.includeBinary) {
+                    blocks.push(this.createFileBlock(formatter, node, `[binary file, ${node.size} bytes, skipped]`, { skipped: true }));
+                    binaryCount++;
+                } else {
+                    try {
+                        const fullPath = this.resolvePath(node.path);
+                        if (streamsLargeFiles && node.size > EXPORT_STREAM_FILE_BYTES && !lineRanges.has(node.path)) {
+                            // Unreadable files still become an error section instead of failing the export
+                            await fs.promises.access(fullPath, fs.constants.R_OK);
+                            blocks.push(streamedFileBlock(node, fullPath));
+                        } else if (node.binary) {
+                            const content = (await fs.promises.readFile(fullPath)).toString('base64');
+                            blocks.push(this.createFileBlock(formatter, node, (content.match(/.{1,76}/g) || []).join('\n'), {
+                                encoding: 'base64',
+                                language: ''
+                            }));
+                        } else {
+                            const content = await fs.promises.readFile(fullPath, 'utf8');
+                            fileRedactions = 0;
+                            const sections = await this.exportSections(node, content, {
+                                ranges: lineRanges.get(node.path),
+                                transform: text => transform(node, text),
+                                diffMode,
+                                diffBase,
+                                gitChanges
+                            });
+                            sections.forEach(section => {
+                                if (section.diff) {
+                                    const diffBlock = this.createFileBlock(formatter, node, redact(section.text), { language: 'diff', diffBase });
+                                    diffBlock.path += ' (diff)'; // As listed in the header of a part
+                                    blocks.push(diffBlock);
+                                } else if (section.range) {
+                                    const block = this.createFileBlock(formatter, node, redact(section.text), { range: section.range });
+                                    block.path += ` (lines ${section.range.start}-${section.range.end})`;
+                                    blocks.push(block);
+                                } else {
+                                    blocks.push(this.createFileBlock(formatter, node, redact(section.text)));
+                                }
+                            });
+                            if (fileRedactions > 0) {
+                                redactions.push({ path: node.path, count: fileRedactions });
+                            }
+                        }
+                        if (blocks.length > 0) {
+                            fileCount++;
+                            totalSize += node.size;
+                        } else {
+                            unchangedCount++;
+                        }
+                    } catch (err) {
+                        console.error(`Error reading file ${node.path}: ${err.message}`);
+                        blocks.push({ path: node.path, text: formatter.error({ path: node.path, message: err.message }) });
+                        errors.push({ path: node.path, message: err.message });
+                    }
+                }
+                bytesDone += node.size;
+
+                blocks.forEach(block => packer.add(block));
+                await flushParts();
+            }
+
+            context.fileCount = fileCount;
+            context.hasContent = fileCount > 0;
+            report(null, true);
+
+            const extension = path.extname(outputPath);
+            const basePath = outputPath.slice(0, outputPath.length - extension.length);
+            for (const part of packer.parts) {
+                throwIfCancelled();
+                await closeBody(part);
+
+                // A single part keeps the plain file name
+                const count = packer.parts.length;
+                const partPath = count === 1 ? outputPath : `${basePath}_part${part.index + 1}${extension}`;
+                if (!options.outputPath && !exportFilePath(path.basename(partPath))) {
+                    throw new ValidationError(`Invalid export part name: ${path.basename(partPath)}`);
+                }
+                const partContext = isSplit ? this.partContext(context, part.index, count, part.files) : context;
+                parts.push({ path: partPath, files: part.files });
+
+                const output = createOutputStream(partPath);
+                await writeToStream(output, formatter.header(partContext));
+                if (part.bodyPath) {
+                    await pipeline(fs.createReadStream(part.bodyPath), output, signal ? { end: false, signal } : { end: false });
+                }
+                await writeToStream(output, formatter.footer(partContext));
+                output.end();
+                await finished(output);
+            }
+        } catch (err) {
+            // Output files of a failed or cancelled export are incomplete, so they are removed
+            await Promise.all(parts.map(part => fs.promises.rm(part.path, { force: true })));
+            throwIfCancelled();
+            throw err;
+        } finally {
+            packer.parts.forEach(part => part.body && part.body.destroy());
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+
+        return {
+            path: parts[0].path,
+            directory: exportsDir,
+            format: format,
+            parts: parts,
+            fileCount: fileCount,
+            binaryCount: binaryCount,
+            unchangedCount: unchangedCount,
+            totalSize: totalSize,
+            redactions: redactions,
+            skippedSensitive: skippedSensitive,
+            savings: savings,
+            errors: errors
+        };
+    }
+
+    // Checks the options that decide what text an export contains, shared by exportToText and
+    // scanSelectedFiles. With options.diffMode 'diff' or 'both', text files come with their git
+    // diff against options.diffBase (HEAD by default); options.transforms names the
+    // CONTENT_TRANSFORMS to apply to text files.
+    contentOptions(options) {
+        const diffMode = options.diffMode || 'none';
+        if (!DIFF_MODES.includes(diffMode)) {
+            throw new ValidationError(`Unsupported diff mode: ${diffMode}`);
+        }
+        const diffBase = diffMode === 'none' ? null : validateGitRef(options.diffBase || 'HEAD');
+        const transforms = options.transforms || [];
+        const unknownTransform = transforms.find(name => !CONTENT_TRANSFORMS[name]);
+        if (unknownTransform) {
+            throw new ValidationError(`Unsupported content transform: ${unknownTransform}`);
+        }
+        return { diffMode, diffBase, transforms };
+    }
+
+    // The texts a text file contributes to an export, before redaction: its transformed content
+    // ({ text }), or one excerpt per line range ({ text, range }) when it has ranges that still
+    // exist in the file, and its diff ({ text, diff: true }). Untracked files are diffed as new
+    // files; in 'diff' mode a file without changes has no sections at all.
+    async exportSections(node, content, { ranges, transform, diffMode, diffBase, gitChanges }) {
+        const sections = [];
+        if (diffMode !== 'diff') {
+            const excerpts = ranges ? extractLineRanges(content, ranges) : [];
+            if (excerpts.length > 0) {
+                excerpts.forEach(excerpt => sections.push({ text: transform(excerpt.content), range: excerpt.range }));
+            } else {
+                sections.push({ text: transform(content) });
+            }
+        }
+        if (diffBase) {
+            const untracked = gitChanges[node.path] === 'untracked' && !diffBase.includes('..');
+            const diff = untracked ? newFileDiff(node.path, content) : await getFileDiff(this.projectPath, node.path, diffBase);
+            if (diff) sections.push({ text: diff, diff: true });
+        }
+        return sections;
+    }
+
+    // A file section of the export, rendered with the formatter. `extra` may override the
+    // language or add encoding/skipped/range details (see EXPORT_FORMATS).
+    createFileBlock(formatter, node, content, extra = {}) {
+        const entry = {
+            path: node.path,
+            size: node.size,
+            language: detectLanguage(node.path),
+            content,
+            ...extra
+        };
+        return { path: node.path, entry, text: formatter.file(entry) };
+    }
+
+    // The header/footer context for one part of a split export. Only the first part carries
+    // the project tree; tree/treeData are left undefined in the others.
+    partContext(context, index, count, files) {
+        const partContext = {
+            ...context,
+            part: { number: index + 1, count, files },
+            isLast: index === count - 1
+        };
+        if (index > 0) {
+            partContext.tree = undefined;
+            partContext.treeData = undefined;
+        }
+        return partContext;
+    }
+
+    // Packs the export into parts that stay within limits.maxBytes and/or limits.maxTokens
+    // (without limits, everything goes into one part). Blocks are added one at a time; each
+    // part collects the rendered sections in `pending` until the writer takes them.
+    // Files are kept whole whenever they fit into a part of their own; only files larger than
+    // that are cut into line ranges. The project tree goes into the first part.
+    createPartPacker(formatter, context, limits) {
+        const measure = (text) => ({
+            bytes: Buffer.byteLength(text),
+            tokens: limits.maxTokens ? estimateTokens(text, limits.model) : 0
+        });
+        const within = (size) => (!limits.maxBytes || size.bytes <= limits.maxBytes) &&
+            (!limits.maxTokens || size.tokens <= limits.maxTokens);
+        const add = (a, b) => ({ bytes: a.bytes + b.bytes, tokens: a.tokens + b.tokens });
+
+        // Headers and footers are measured with a worst-case part number, and every file
+        // listed in a part's header adds one entry to it
+        const frame = (index, files) => {
+            const partContext = this.partContext(context, index, 9999, files);
+            return measure(formatter.header(partContext) + formatter.footer({ ...partContext, isLast: true }));
+        };
+        const fileLineSize = (label) => {
+            const one = frame(1, [label]);
+            const two = frame(1, [label, label]);
+            return { bytes: two.bytes - one.bytes, tokens: Math.max(0, two.tokens - one.tokens) };
+        };
+        const separatorSize = measure(formatter.separator);
+
+        const parts = [];
+        let current;
+        const startPart = () => {
+            current = { index: parts.length, files: [], pending: [], written: 0, sectionCount: 0, size: frame(parts.length, []) };
+            parts.push(current);
+        };
+        const sizeInPart = (size) => current.sectionCount > 0 ? add(size, separatorSize) : size;
+        const fits = (size) => within(add(current.size, sizeInPart(size)));
+        const place = (label, text, size) => {
+            current.size = add(current.size, sizeInPart(size));
+            current.files.push(label);
+            current.pending.push(text);
+            current.sectionCount++;
+        };
+
+        const addBlock = (block) => {
+            // Streamed blocks (see exportToText) are only used without limits, so they always fit
+            const blockSize = typeof block.text === 'function'
+                ? { bytes: block.size, tokens: 0 }
+                : add(measure(block.text), fileLineSize(block.path));
+            if (fits(blockSize)) {
+                place(block.path, block.text, blockSize);
+                return;
+            }
+            if (within(add(frame(parts.length, []), blockSize)) || !block.entry) {
+                startPart();
+                place(block.path, block.text, blockSize);
+                return;
+            }
+
+            // The file does not fit even into an empty part: split it by line ranges (counted
+            // from the start of the excerpt when the block is one already)
+            const lines = block.entry.content.split(/(?<=\n)/);
+            const lineSizes = lines.map(measure);
+            const firstLine = block.entry.range ? block.entry.range.start : 1;
+            const renderPiece = (start, end) => {
+                const range = { start: start + firstLine, end: end + firstLine - 1 };
+                const label = `${block.entry.path} (lines ${range.start}-${range.end})`;
+                const text = formatter.file({
+                    ...block.entry,
+                    content: lines.slice(start, end).join('').replace(/\n$/, ''),
+                    range
+                });
+                return { label, text, size: add(measure(text), fileLineSize(label)) };
+            };
+
+            let start = 0;
+            while (start < lines.length) {
+                // Estimate how many lines fit from the line sizes, then check the rendered piece
+                let estimate = renderPiece(start, start).size;
+                let end = start;
+                while (end < lines.length && fits(add(estimate, lineSizes[end]))) {
+                    estimate = add(estimate, lineSizes[end]);
+                    end++;
+                }
+                let piece = end > start ? renderPiece(start, end) : null;
+                while (piece && !fits(piece.size) && end > start + 1) {
+                    end--;
+                    piece = renderPiece(start, end);
+                }
+                if (!piece || !fits(piece.size)) {
+                    if (current.sectionCount > 0 || parts.length === 1) {
+                        startPart();
+                        continue;
+                    }
+                    // A single line longer than the limit still has to go somewhere
+                    end = Math.max(end, start + 1);
+                    piece = renderPiece(start, end);
+                }
+                place(piece.label, piece.text, piece.size);
+                start = end;
+            }
+        };
+
+        startPart();
+        return { parts, add: addBlock };
+    }
+
+    // Plain-data copy of a tree node for the JSON export: selection state instead of display fields
+    serializeTree(node, skipped = new Set()) {
+        const data = {
+            name: node.name,
+            path: node.path,
+            type: node.type,
+            size: node.size,
+            selected: this.selectedPaths.has(node.path) && !skipped.has(node.path)
+        };
+        if (node.binary) data.binary = true;
+        if (skipped.has(node.path)) data.skipped = 'sensitive';
+        if (node.children) data.children = node.children.map(child => this.serializeTree(child, skipped));
+        return data;
+    }
+
+    // Copy of a node for the UI with `depth` levels of children (Infinity for the whole subtree).
+    // Directories below that are sent with just their childCount and loaded when expanded.
+    toClientNode(node, depth = 1) {
+        const data = {
+            name: node.name,
+            path: node.path,
+            type: node.type,
+            size: node.size,
+            formattedSize: node.formattedSize,
+            selected: this.selectedPaths.has(node.path)
+        };
+        if (node.binary) data.binary = true;
+        if (node.children) {
+            data.childCount = node.children.length;
+            if (depth > 0) data.children = node.children.map(child => this.toClientNode(child, depth - 1));
+        }
+        return data;
+    }
+
+    // Returns the estimated token count of a file node's content (0 for binary files), or of
+    // its excerpts when `ranges` are given
+    async countFileTokens(node, model = DEFAULT_TOKENIZER_MODEL, ranges = null) {
+        if (node.binary) return 0;
+
+        const fullPath = this.resolvePath(node.path);
+        const stats = await fs.promises.stat(fullPath);
+        const cacheKey = ranges ? `${model}:${fullPath}:${JSON.stringify(ranges)}` : `${model}:${fullPath}`;
+        const cached = this.tokenCache.get(cacheKey);
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            this.tokenCache.delete(cacheKey);
+            this.tokenCache.set(cacheKey, cached);
+            return cached.tokens;
+        }
+
+        const content = await fs.promises.readFile(fullPath, 'utf8');
+        const tokens = ranges
+            ? extractLineRanges(content, ranges).reduce((sum, excerpt) => sum + estimateTokens(excerpt.content, model), 0)
+            : estimateTokens(content, model);
+        this.tokenCache.delete(cacheKey);
+        this.tokenCache.set(cacheKey, { size: stats.size, mtimeMs: stats.mtimeMs, tokens });
+        if (this.tokenCache.size > TOKEN_CACHE_LIMIT) {
+            this.tokenCache.delete(this.tokenCache.keys().next().value);
+        }
+        return tokens;
+    }
+
+    // Reads `lineCount` lines from `startLine` (1-based) of a project file for the preview.
+    // Returns { lines, totalLines }. Only the part of the file from the nearest checkpoint
+    // to the end of the page is read.
+    async readLines(relativePath, startLine, lineCount) {
+        const fullPath = this.resolvePath(relativePath);
+        const stats = await fs.promises.stat(fullPath);
+        let cached = this.lineIndexCache.get(fullPath);
+        if (!cached || cached.size !== stats.size || cached.mtimeMs !== stats.mtimeMs) {
+            cached = { size: stats.size, mtimeMs: stats.mtimeMs, index: await buildLineIndex(fullPath) };
+            this.lineIndexCache.set(fullPath, cached);
+        }
+
+        const { checkpoints, lineCount: totalLines } = cached.index;
+        const lines = [];
+        if (startLine <= totalLines) {
+            const checkpoint = Math.min(Math.floor((startLine - 1) / PREVIEW_CHECKPOINT_LINES), checkpoints.length - 1);
+            let line = checkpoint * PREVIEW_CHECKPOINT_LINES + 1;
+            const decoder = new StringDecoder('utf8');
+            let partial = '';
+            // Leaving the loop early destroys the stream
+            for await (const chunk of fs.createReadStream(fullPath, { start: checkpoints[checkpoint] })) {
+                const pieces = (partial + decoder.write(chunk)).split('\n');
+                partial = pieces.pop();
+                for (const piece of pieces) {
+                    if (line >= startLine && lines.length < lineCount) lines.push(piece);
+                    line++;
+                }
+                if (lines.length === lineCount) break;
+            }
+            partial += decoder.end();
+            if (partial !== '' && line >= startLine && lines.length < lineCount) lines.push(partial);
+        }
+
+        return {
+            lines: lines.map(text => {
+                const line = text.replace(/\r$/, '');
+                return line.length > PREVIEW_MAX_LINE_LENGTH ? line.slice(0, PREVIEW_MAX_LINE_LENGTH) + ' …' : line;
+            }),
+            totalLines
+        };
+    }
+
+    // The ranges as they would be stored for a file (sorted and merged); throws a
+    // ValidationError for files or ranges that can't be selected
+    checkLineRanges(filePath, ranges) {
+        const node = this.nodeIndex.get(filePath);
+        if (!node || node.type !== 'file' || node.binary) {
+            throw new ValidationError('Line ranges can only be selected in text files of the project');
+        }
+        return normalizeLineRanges(ranges);
+    }
+
+    // Replaces the line ranges of a text file and selects it; no ranges selects the whole file
+    // again. Returns the ranges as stored (sorted and merged).
+    setLineRanges(filePath, ranges) {
+        const normalized = this.checkLineRanges(filePath, ranges);
+        if (normalized.length === 0) {
+            this.lineRanges.delete(filePath);
+        } else {
+            this.lineRanges.set(filePath, normalized);
+            this.selectedPaths.add(filePath);
+        }
+        return normalized;
+    }
+
+    // Forgets the line ranges of files that are no longer selected
+    pruneLineRanges() {
+        for (const filePath of this.lineRanges.keys()) {
+            if (!this.selectedPaths.has(filePath)) this.lineRanges.delete(filePath);
+        }
+    }
+
+    // Token counts for every selected file, plus their total. An unknown model is an error
+    // rather than a count for the default one. Files are read a few at a time, so counting a
+    // large selection doesn't hold up other requests.
+    async countSelectedTokens(model = DEFAULT_TOKENIZER_MODEL) {
+        if (!isTokenizerModel(model)) {
+            throw new ValidationError(`Unknown model: ${model}`);
+        }
+        const limit = createLimiter(TOKEN_COUNT_CONCURRENCY);
+        const selectedFiles = [...this.selectedPaths]
+            .map(selectedPath => this.nodeIndex.get(selectedPath))
+            .filter(node => node && node.type === 'file');
+        const counts = await Promise.all(selectedFiles.map(node => limit(async () => {
+            try {
+                return await this.countFileTokens(node, model, this.lineRanges.get(node.path));
+            } catch (err) {
+                console.error(`Error counting tokens for ${node.path}: ${err.message}`);
+                return null;
+            }
+        })));
+
+        const files = {};
+        let total = 0;
+        selectedFiles.forEach((node, i) => {
+            if (counts[i] === null) return;
+            files[node.path] = counts[i];
+            total += counts[i];
+        });
+        return { model, total, files };
+    }
+
+    // Searches the content of the project's text files, line by line like grep. Returns every
+    // file with matching lines (`matches` counts lines, not occurrences), with snippets of the
+    // first few lines for the first SEARCH_SNIPPET_FILES files.
+    async searchContent(query, options = {}, { signal = null } = {}) {
+        const pattern = buildSearchPattern(query, options);
+        const files = [];
+        let skippedCount = 0;
+        for (const node of this.nodeIndex.values()) {
+            if (node.type !== 'file' || node.binary) continue;
+            if (node.size > SEARCH_MAX_FILE_BYTES) {
+                skippedCount++;
+                continue;
+            }
+            try {
+                files.push({ path: node.path, fullPath: this.resolvePath(node.path) });
+            } catch (err) {
+                skippedCount++;
+            }
+        }
+
+        const limits = {
+            maxLineLength: SEARCH_MAX_LINE_LENGTH,
+            snippetFiles: SEARCH_SNIPPET_FILES,
+            snippetsPerFile: SEARCH_SNIPPETS_PER_FILE,
+            snippetLength: SEARCH_SNIPPET_LENGTH
+        };
+        // Escaped literal text can't backtrack badly, so only regex searches need the worker
+        const result = options.regex
+            ? await runSearchWorker(files, pattern, limits, signal)
+            : await searchFiles(files, pattern.source, pattern.flags, limits, signal);
+        if (!result) {
+            throw new CancelledError('Search cancelled');
+        }
+        result.skippedCount += skippedCount;
+        return result;
+    }
+
+    // Adds entryPath and every project file it imports, directly or indirectly, to the
+    // selection. maxDepth limits the number of import levels followed (null: no limit).
+    // Returns the walked graph: files with their depth, import edges and the relative
+    // imports that did not resolve to a file in the tree.
+    async selectWithDependencies(entryPath, { maxDepth = null } = {}) {
+        const entry = this.nodeIndex.get(entryPath);
+        if (!entry || entry.type !== 'file') {
+            throw new ValidationError('Dependencies can only be followed from a file in the project');
+        }
+
+        const resolver = new ImportResolver(this.nodeIndex, await readPathAliases(this.projectPath));
+        const depths = new Map([[entryPath, 0]]);
+        const edges = [];
+        const unresolved = [];
+        const skipped = [];
+        let frontier = [entryPath];
+
+        for (let depth = 0; frontier.length > 0 && (maxDepth === null || depth < maxDepth); depth++) {
+            const next = [];
+            for (const filePath of frontier) {
+                const node = this.nodeIndex.get(filePath);
+                if (!isScriptFile(filePath) || node.binary) continue;
+                if (node.size > DEPENDENCY_SCAN_MAX_BYTES) {
+                    skipped.push(filePath);
+                    continue;
+                }
+
+                let content;
+                try {
+                    content = await fs.promises.readFile(this.resolvePath(filePath), 'utf8');
+                } catch (err) {
+                    console.error(`Error reading ${filePath}: ${err.message}`);
+                    continue;
+                }
+
+                const targets = new Set();
+                for (const specifier of findImportSpecifiers(content)) {
+                    const target = resolver.resolve(filePath, specifier);
+                    if (!target) {
+                        if (specifier.startsWith('.')) unresolved.push({ from: filePath, specifier });
+                        continue;
+                    }
+                    if (target === filePath || targets.has(target)) continue;
+                    targets.add(target);
+                    edges.push({ from: filePath, to: target });
+                    if (!depths.has(target)) {
+                        depths.set(target, depth + 1);
+                        next.push(target);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        for (const filePath of depths.keys()) {
+            this.selectedPaths.add(filePath);
+        }
+        return {
+            entry: entryPath,
+            files: [...depths].map(([filePath, depth]) => ({ path: filePath, depth })),
+            edges,
+            unresolved,
+            skipped
+        };
+    }
+
+    // Looks for credentials in the selected text files, for a review before exporting them.
+    // The text scanned is the text an export with the same options (transforms, diffs, line
+    // ranges; see contentOptions) would write, so the findings are exactly what redaction
+    // replaces. Line numbers count within that text; findings in a diff are marked `diff`.
+    // Lists the files with findings and the ones whose name suggests credentials.
+    async scanSelectedFiles(options = {}) {
+        const { diffMode, diffBase, transforms } = this.contentOptions(options);
+        const gitChanges = diffBase ? await getGitStatus(this.projectPath) : null;
+        if (diffBase && !gitChanges) {
+            throw new ValidationError('Diffs can only be exported from a project inside a git repository');
+        }
+
+        const files = [];
+        let findingCount = 0;
+        for (const selectedPath of this.selectedPaths) {
+            const node = this.nodeIndex.get(selectedPath);
+            if (!node || node.type !== 'file' || node.binary) continue;
+
+            const findings = [];
+            const addFindings = (text, lineOffset, diff) => {
+                describeSecrets(text, findSecrets(text)).forEach(finding => {
+                    findings.push({ ...finding, line: finding.line + lineOffset, diff });
+                });
+            };
+            try {
+                const fullPath = this.resolvePath(node.path);
+                // Files the export would stream are scanned in the same chunks
+                if (node.size > EXPORT_STREAM_FILE_BYTES && transforms.length === 0 && diffMode === 'none' && !this.lineRanges.has(node.path)) {
+                    let lineOffset = 0;
+                    for await (const chunk of readTextChunks(fullPath)) {
+                        addFindings(chunk, lineOffset, false);
+                        lineOffset += (chunk.match(/\n/g) || []).length;
+                    }
+                } else {
+                    const content = await fs.promises.readFile(fullPath, 'utf8');
+                    const sections = await this.exportSections(node, content, {
+                        ranges: this.lineRanges.get(node.path),
+                        transform: text => (transforms.length > 0 ? applyContentTransforms(text, node.path, transforms) : text),
+                        diffMode,
+                        diffBase,
+                        gitChanges
+                    });
+                    sections.forEach(section => addFindings(section.text, section.range ? section.range.start - 1 : 0, Boolean(section.diff)));
+                }
+            } catch (err) {
+                console.error(`Error scanning ${node.path}: ${err.message}`);
+            }
+            const sensitiveFile = isSensitiveFileName(node.name);
+            if (findings.length > 0 || sensitiveFile) {
+                files.push({ path: node.path, sensitiveFile, findings });
+                findingCount += findings.length;
+            }
+        }
+        return { files, findingCount };
+    }
+
+    findNode(node, targetPath) {
+        if (node && node === this.projectTree) {
+            return this.nodeIndex.get(targetPath) || null;
+        }
+        if (node.path === targetPath) return node;
+        if (node.children) {
+            for (const child of node.children) {
+                const found = this.findNode(child, targetPath);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
+    getAllPaths(node, paths = []) {
+        // The root node itself (path === '') is also selectable for 'select all' functionality
+        paths.push(node.path);
+
+        if (node.type === 'directory' && node.children) {
+            node.children.forEach(child => this.getAllPaths(child, paths));
+        }
+        return paths;
+    }
+}
+
+// Settings that outlive the server process (profiles, recent projects) are kept here
+const SETTINGS_DIR = path.join(os.homedir(), '.project-code-exporter');
+
+// Named export profiles (project path, patterns, selection, format, filename template),
+// persisted together in one JSON file
+class ProfileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    // Profiles by name, in an object without a prototype so that names like "__proto__" or
+    // "constructor" are ordinary keys
+    readAll() {
+        const profiles = Object.create(null);
+        try {
+            Object.assign(profiles, JSON.parse(fs.readFileSync(this.filePath, 'utf8')).profiles);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Error reading profiles from ${this.filePath}: ${err.message}`);
+            }
+        }
+        return profiles;
+    }
+
+    writeAll(profiles) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ profiles }, null, 2));
+    }
+
+    // Names are stored trimmed, and looked up the same way
+    validateName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new ValidationError('Profile name is required');
+        }
+        if (name.trim().length > 100) {
+            throw new ValidationError('Profile name is too long (max 100 characters)');
+        }
+        return name.trim();
+    }
+
+    list() {
+        return Object.values(this.readAll())
+            .map(({ name, projectPath, updatedAt }) => ({ name, projectPath, updatedAt }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        const profileName = this.validateName(name);
+        const profiles = this.readAll();
+        return Object.hasOwn(profiles, profileName) ? profiles[profileName] : null;
+    }
+
+    save(name, profile) {
+        const profileName = this.validateName(name);
+        const profiles = this.readAll();
+        profiles[profileName] = { ...profile, name: profileName, updatedAt: new Date().toISOString() };
+        this.writeAll(profiles);
+        return profiles[profileName];
+    }
+
+    rename(name, newName) {
+        const oldName = this.validateName(name);
+        const profileName = this.validateName(newName);
+        const profiles = this.readAll();
+        if (!Object.hasOwn(profiles, oldName)) {
+            throw new ValidationError(`Profile "${oldName}" does not exist`);
+        }
+        if (profileName !== oldName && Object.hasOwn(profiles, profileName)) {
+            throw new ValidationError(`Profile "${profileName}" already exists`);
+        }
+        const profile = { ...profiles[oldName], name: profileName, updatedAt: new Date().toISOString() };
+        delete profiles[oldName];
+        profiles[profileName] = profile;
+        this.writeAll(profiles);
+        return profile;
+    }
+
+    remove(name) {
+        const profileName = this.validateName(name);
+        const profiles = this.readAll();
+        if (!Object.hasOwn(profiles, profileName)) {
+            throw new ValidationError(`Profile "${profileName}" does not exist`);
+        }
+        delete profiles[profileName];
+        this.writeAll(profiles);
+    }
+}
+
+// The most recently loaded project paths, newest first
+class RecentProjects {
+    constructor(filePath, limit = 10) {
+        this.filePath = filePath;
+        this.limit = limit;
+    }
+
+    list() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).projects || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Error reading recent projects from ${this.filePath}: ${err.message}`);
+            }
+            return [];
+        }
+    }
+
+    add(projectPath) {
+        const projects = [
+            { path: projectPath, lastOpened: new Date().toISOString() },
+            ...this.list().filter(project => project.path !== projectPath)
+        ].slice(0, this.limit);
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ projects }, null, 2));
+        } catch (err) {
+            // Not being able to remember the project should never fail the load itself
+            console.error(`Error saving recent projects to ${this.filePath}: ${err.message}`);
+        }
+        return projects;
+    }
+}
+
+// Exports written from the UI, with a metadata record per export in <exports>/.history
+// (named after the export's first output file). The records describe what was exported
+// and how, so the exports panel can show them and run the same export again. Files in the
+// exports directory without a record (e.g. from the CLI) are listed on their own.
+class ExportHistory {
+    constructor(exportsDir) {
+        this.exportsDir = exportsDir;
+        this.historyDir = path.join(exportsDir, '.history');
+    }
+
+    recordPath(name) {
+        return path.join(this.historyDir, `${name}.json`);
+    }
+
+    get(name) {
+        try {
+            return JSON.parse(fs.readFileSync(this.recordPath(name), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Error reading export record for ${name}: ${err.message}`);
+            }
+            return null;
+        }
+    }
+
+    readAll() {
+        let fileNames = [];
+        try {
+            fileNames = fs.readdirSync(this.historyDir).filter(fileName => fileName.endsWith('.json'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        return fileNames.map(fileName => this.get(fileName.slice(0, -'.json'.length))).filter(Boolean);
+    }
+
+    // Stores the record for a finished export. When it replaces an earlier export with the
+    // same name, output files of that export which were not written again are removed.
+    add(record) {
+        const previous = this.get(record.name);
+        if (previous) {
+            previous.parts
+                .filter(part => !record.parts.includes(part))
+                .forEach(part => fs.rmSync(path.join(this.exportsDir, part), { force: true }));
+        }
+        fs.mkdirSync(this.historyDir, { recursive: true });
+        fs.writeFileSync(this.recordPath(record.name), JSON.stringify(record, null, 2));
+        return record;
+    }
+
+    // All exports, newest first: { name, createdAt, projectName, projectPath, format,
+    // fileCount, size, parts: [{ name, size }], canRerun }
+    list() {
+        const files = new Map();
+        try {
+            for (const fileName of fs.readdirSync(this.exportsDir)) {
+                if (fileName.startsWith('.')) continue;
+                const stats = fs.statSync(path.join(this.exportsDir, fileName));
+                if (stats.isFile()) files.set(fileName, stats);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        const entries = [];
+        for (const record of this.readAll()) {
+            const parts = record.parts.filter(part => files.has(part));
+            if (parts.length === 0) continue; // The files were deleted outside of the UI
+            entries.push({
+                name: record.name,
+                createdAt: record.createdAt,
+                projectName: record.projectName,
+                projectPath: record.projectPath,
+                format: record.options.format,
+                fileCount: record.fileCount,
+                size: parts.reduce((sum, part) => sum + files.get(part).size, 0),
+                parts: parts.map(part => ({ name: part, size: files.get(part).size })),
+                canRerun: true
+            });
+            parts.forEach(part => files.delete(part));
+        }
+        for (const [fileName, stats] of files) {
+            entries.push({
+                name: fileName,
+                createdAt: stats.mtime.toISOString(),
+                projectName: null,
+                projectPath: null,
+                format: null,
+                fileCount: null,
+                size: stats.size,
+                parts: [{ name: fileName, size: stats.size }],
+                canRerun: false
+            });
+        }
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Deletes an export's files and record; returns the names of the deleted files
+    remove(name) {
+        const record = this.get(name);
+        const parts = record ? record.parts : [name];
+        if (!record && !fs.existsSync(path.join(this.exportsDir, name))) {
+            throw new ValidationError(`Export "${name}" does not exist`);
+        }
+        parts.forEach(part => fs.rmSync(path.join(this.exportsDir, part), { force: true }));
+        fs.rmSync(this.recordPath(name), { force: true });
+        return parts;
+    }
+
+    // Deletes every export created more than `days` days ago (all of them for 0)
+    removeOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const removed = this.list().filter(entry => entry.createdAt < cutoff);
+        removed.forEach(entry => this.remove(entry.name));
+        return removed.map(entry => entry.name);
+    }
+}
+
+// Starting points for the directory browser: the home directory plus the filesystem
+// root, or every existing drive letter on Windows. A server restricted to allowed roots
+// offers those instead.
+function listDirectoryRoots() {
+    if (serverConfig.allowedRoots.length > 0) {
+        return serverConfig.allowedRoots.map(root => ({ name: path.basename(root) || root, path: root }));
+    }
+    const roots = [{ name: 'Home', path: os.homedir() }];
+    if (process.platform === 'win32') {
+        for (let code = 65; code <= 90; code++) {
+            const drive = `${String.fromCharCode(code)}:\\`;
+            if (fs.existsSync(drive)) {
+                roots.push({ name: drive, path: drive });
+            }
+        }
+    } else {
+        roots.push({ name: '/', path: '/' });
+    }
+    return roots;
+}
+
+// Lists the subdirectories of dirPath for the directory browser
+function browseDirectory(dirPath) {
+    const resolvedPath = path.resolve(dirPath);
+    let entries;
+    try {
+        if (!fs.statSync(resolvedPath).isDirectory()) {
+            throw new ValidationError('Provided path is not a directory');
+        }
+        entries = fs.readdirSync(resolvedPath, { withFileTypes: true });
+    } catch (err) {
+        throw clientPathError(err);
+    }
+
+    const directories = [];
+    for (const entry of entries) {
+        let isDirectory = entry.isDirectory();
+        if (entry.isSymbolicLink()) {
+            try {
+                isDirectory = fs.statSync(path.join(resolvedPath, entry.name)).isDirectory();
+            } catch (err) {
+                isDirectory = false; // Broken link
+            }
+        }
+        if (isDirectory) {
+            directories.push({
+                name: entry.name,
+                path: path.join(resolvedPath, entry.name),
+                hidden: entry.name.startsWith('.')
+            });
+        }
+    }
+    directories.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+    const parent = path.dirname(resolvedPath);
+    return {
+        path: resolvedPath,
+        parent: parent !== resolvedPath && isAllowedPath(parent) ? parent : null,
+        directories,
+        roots: listDirectoryRoots()
+    };
+}
+
+// How long a finished job is kept, so a client that connects late still gets its outcome
+const JOB_RETENTION_MS = 10 * 60 * 1000;
+
+// A long-running server task (such as a project scan) that the UI follows over
+// Server-Sent Events. Emits 'progress' while it runs and 'end' once it is done,
+// failed or cancelled; `outcome` then holds the result or { error }.
+class Job extends EventEmitter {
+    constructor(type, sessionId) {
+        super();
+        this.id = crypto.randomBytes(8).toString('hex');
+        this.type = type;
+        this.sessionId = sessionId;
+        this.status = 'running';
+        this.controller = new AbortController();
+        this.lastProgress = null;
+        this.outcome = null;
+    }
+
+    progress(data) {
+        this.lastProgress = data;
+        this.emit('progress', data);
+    }
+
+    cancel() {
+        if (this.status === 'running') {
+            this.controller.abort();
+        }
+    }
+
+    finish(status, outcome) {
+        this.status = status;
+        this.outcome = outcome;
+        this.emit('end');
+    }
+}
+
+const jobs = new Map();
+
+// Runs `run(job)` in the background and returns the job right away. Only the session that
+// started a job can follow or cancel it.
+function startJob(type, run, sessionId) {
+    const job = new Job(type, sessionId);
+    jobs.set(job.id, job);
+    Promise.resolve()
+        .then(() => run(job))
+        .then(
+            result => job.finish('done', result),
+            err => {
+                if (err instanceof CancelledError) {
+                    job.finish('cancelled', { error: err.message });
+                } else {
+                    console.error(`Error in ${type} job:`, err);
+                    job.finish('failed', { error: err.message });
+                }
+            }
+        )
+        .then(() => setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref());
+    return job;
+}
+
+// Runs an export for a job. When its output ends up in the exports directory, the parts
+// get download URLs and the export is recorded in the history (with the selection and
+// options it was made with) so that it can be re-run from the exports panel.
+async function runRecordedExport(job, sourceExporter, customName, options, outputPath = null) {
+    const selectedPaths = [...sourceExporter.selectedPaths];
+    const lineRanges = Object.fromEntries(sourceExporter.lineRanges);
+    const result = await sourceExporter.exportToText(customName, outputPath ? { ...options, outputPath } : options, {
+        signal: job.controller.signal,
+        onProgress: progress => job.progress(progress)
+    });
+
+    const inExportsDir = result.parts.every(part => path.dirname(part.path) === EXPORTS_DIR);
+    if (inExportsDir) {
+        result.parts.forEach(part => {
+            part.downloadUrl = exportDownloadUrl(path.basename(part.path));
+        });
+        try {
+            exportHistory.add({
+                name: path.basename(result.path),
+                createdAt: new Date().toISOString(),
+                projectPath: sourceExporter.projectPath,
+                projectName: path.basename(sourceExporter.projectPath),
+                loadOptions: sourceExporter.loadOptions,
+                selectedPaths,
+                lineRanges,
+                customName: customName || null,
+                options: { ...options, format: result.format },
+                fileCount: result.fileCount,
+                binaryCount: result.binaryCount,
+                totalSize: result.totalSize,
+                parts: result.parts.map(part => path.basename(part.path))
+            });
+        } catch (err) {
+            // The export itself has succeeded; it just won't show its details in the panel
+            console.error(`Error recording export ${result.path}: ${err.message}`);
+        }
+    }
+    return result;
+}
+
+// Name matches returned by /api/find are capped so huge projects don't flood the UI
+const FIND_RESULT_LIMIT = 500;
+
+// Sessions nobody has used for this long are dropped, along with their loaded project
+const SESSION_IDLE_MS = 2 * 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Clients that never send their session back (scripts, crawlers) each get a new one, so
+// beyond this many the least recently used sessions are dropped early
+const SESSION_LIMIT = 100;
+const SESSION_COOKIE = 'exporter_session';
+const SESSION_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Cookie values are written URL-encoded, so that a token may hold any character (; , " space)
+function readCookie(header, name) {
+    for (const pair of (header || '').split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(separator + 1).trim());
+            } catch (err) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+// Every browser tab (or other API client) works on its own project and selection, held by
+// the ProjectExporter of its session. The UI sends a per-tab id in the X-Session-Id header
+// (or the `session` query parameter, where EventSource can't set headers); clients that
+// send neither are given a session cookie.
+class SessionStore {
+    constructor(idleMs, limit) {
+        this.idleMs = idleMs;
+        this.limit = limit;
+        // In order of last use, oldest first
+        this.sessions = new Map();
+    }
+
+    forRequest(req, res, searchParams) {
+        const requestedId = req.headers['x-session-id'] || searchParams.get('session');
+        const cookieId = readCookie(req.headers.cookie, SESSION_COOKIE);
+        let id = requestedId || cookieId;
+        if (!SESSION_ID_PATTERN.test(id || '')) {
+            id = crypto.randomBytes(16).toString('hex');
+        }
+        if (!requestedId && id !== cookieId) {
+            res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(id)}; Path=/; HttpOnly; SameSite=Strict`);
+        }
+
+        let session = this.sessions.get(id);
+        if (session) {
+            this.sessions.delete(id);
+        } else {
+            this.evict(this.limit - 1);
+            // The scan started by the last /api/load of the session; a new load cancels it
+            // if it is still running
+            session = { id, exporter: new ProjectExporter(), loadJob: null, lastSeen: 0 };
+        }
+        this.sessions.set(id, session);
+        session.lastSeen = Date.now();
+        return session;
+    }
+
+    // Drops the least recently used sessions until at most `count` are left, except those
+    // with a job that is still running
+    evict(count) {
+        const busy = busySessionIds();
+        for (const id of this.sessions.keys()) {
+            if (this.sessions.size <= count) break;
+            if (!busy.has(id)) this.sessions.delete(id);
+        }
+    }
+
+    // Drops idle sessions, except those with a job that is still running
+    sweep() {
+        const cutoff = Date.now() - this.idleMs;
+        const busy = busySessionIds();
+        for (const [id, session] of this.sessions) {
+            if (session.lastSeen < cutoff && !busy.has(id)) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+}
+
+function busySessionIds() {
+    return new Set([...jobs.values()].filter(job => job.status === 'running').map(job => job.sessionId));
+}
+
+const sessions = new SessionStore(SESSION_IDLE_MS, SESSION_LIMIT);
+setInterval(() => sessions.sweep(), SESSION_SWEEP_INTERVAL_MS).unref();
+
+// Settings of the UI server, filled in from flags, environment and config file at startup
+// (see loadServerConfig)
+const serverConfig = {
+    host: 'localhost',
+    port: 3000,
+    // Directories projects may be loaded from (and browsed); empty allows the whole disk
+    allowedRoots: [],
+    // When set, API requests need it as a Bearer token or in the cookie set by /?token=...
+    token: null,
+    open: true
+};
+const TOKEN_COOKIE = 'exporter_token';
+
+// Symlinks are resolved first, so a link inside an allowed root can't lead out of it
+function isAllowedPath(targetPath) {
+    if (serverConfig.allowedRoots.length === 0) return true;
+    const realPath = realPathOf(targetPath);
+    return serverConfig.allowedRoots.some(root => isPathInside(root, realPath));
+}
+
+function assertAllowedPath(targetPath) {
+    if (typeof targetPath !== 'string' || !targetPath) {
+        throw new ValidationError('Path not provided');
+    }
+    if (!isAllowedPath(targetPath)) {
+        throw new PathAccessError(`Access denied: ${targetPath} is outside the allowed directories`);
+    }
+}
+
+// Compares hashes so the time taken does not depend on how much of the token matched
+function tokenMatches(candidate) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return Boolean(candidate) && crypto.timingSafeEqual(hash(candidate), hash(serverConfig.token));
+}
+
+function hasAccessToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ') && tokenMatches(authorization.slice('Bearer '.length))) {
+        return true;
+    }
+    return tokenMatches(readCookie(req.headers.cookie, TOKEN_COOKIE));
+}
+const profileStore = new ProfileStore(path.join(SETTINGS_DIR, 'profiles.json'));
+const recentProjects = new RecentProjects(path.join(SETTINGS_DIR, 'recent.json'));
+const exportHistory = new ExportHistory(EXPORTS_DIR);
+
+const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Project Code Exporter</title>
+    <meta charset="UTF-8"> <!-- Added: Meta tag for character encoding -->
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            margin: 20px;
+            background-color: #f5f5f5;
+        }
+        .container {
+            max-width: 1000px;
+            margin: 0 auto;
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        h1 {
+            color: #333;
+            text-align: center;
+        }
+        .input-group {
+            margin-bottom: 20px;
+            display: flex;
+            gap: 10px;
+        }
+        input[type="text"] {
+            flex: 1;
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 16px;
+        }
+        button {
+            padding: 10px 20px;
             background: #007bff;
             color: white;
             border: none;
@@ -249,771 +3300,3595 @@ const htmlContent = `
             cursor: pointer;
             font-size: 16px;
         }
-        button:hover {
-            background: #0056b3;
+        button:hover {
+            background: #0056b3;
+        }
+        button:disabled {
+            background: #ccc;
+            cursor: not-allowed;
+        }
+        .tree-container {
+            background: #f9f9f9;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            padding: 20px;
+            margin-bottom: 20px;
+            max-height: 500px;
+            overflow-y: auto;
+        }
+        .tree-item {
+            margin: 2px 0;
+            white-space: nowrap;
+        }
+        .tree-item label {
+            cursor: pointer;
+            display: inline-flex;
+            align-items: center;
+            padding: 2px 5px;
+            border-radius: 3px;
+        }
+        .tree-item.directory > label { /* Target only the label of a directory item for clickability */
+            cursor: default; /* Remove pointer for label as toggle icon handles it */
+        }
+        .tree-item.file > label {
+            cursor: pointer; /* Indicate file content is clickable */
+        }
+        .tree-item label:hover {
+            background: #e9ecef;
+        }
+        .tree-item input[type="checkbox"] {
+            margin-right: 8px;
+            width: 16px;
+            height: 16px;
+            cursor: pointer;
+        }
+        .size {
+            color: #666;
+            font-size: 12px;
+            margin-left: 10px;
+        }
+        .export-section {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-top: 20px;
+        }
+        .tree-item.binary > label > span:nth-child(3) {
+            color: #888;
+            font-style: italic;
+        }
+        .git-controls {
+            display: flex;
+            gap: 10px;
+        }
+        .tree-controls .git-controls input[type="text"] {
+            flex: none;
+            width: 140px;
+        }
+        .git-badge {
+            margin-left: 8px;
+            padding: 0 5px;
+            font-size: 11px;
+            font-weight: bold;
+            color: #fff;
+            border-radius: 3px;
+        }
+        .git-badge.git-modified {
+            background: #e69500;
+        }
+        .git-badge.git-staged {
+            background: #28a745;
+        }
+        .git-badge.git-untracked {
+            background: #17a2b8;
+        }
+        .git-badge.git-conflicted {
+            background: #dc3545;
+        }
+        .content-search-options {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            white-space: nowrap;
+        }
+        .match-badge {
+            margin-left: 8px;
+            padding: 0 5px;
+            font-size: 11px;
+            color: #fff;
+            background: #6f42c1;
+            border-radius: 3px;
+        }
+        .search-snippets {
+            margin: 0 0 4px 45px;
+            font-family: monospace;
+            font-size: 12px;
+            color: #555;
+        }
+        .search-snippets div {
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        .search-snippets .line-number {
+            color: #999;
+            margin-right: 6px;
+        }
+        .deps-action {
+            visibility: hidden;
+            margin-left: 8px;
+            color: #007bff;
+        }
+        .tree-item label:hover .deps-action {
+            visibility: visible;
+        }
+        .dependency-hint {
+            color: #888;
+        }
+        .dependency-graph ul {
+            margin: 0;
+            padding-left: 20px;
+            list-style: none;
+        }
+        .dependency-graph li {
+            font-family: monospace;
+            font-size: 13px;
+            white-space: nowrap;
+        }
+        .dependency-graph .repeat {
+            color: #888;
+        }
+        .binary-tag {
+            margin-left: 8px;
+            padding: 0 5px;
+            font-size: 11px;
+            color: #fff;
+            background: #999;
+            border-radius: 3px;
+        }
+        .export-options {
+            margin-top: 10px;
+            gap: 20px;
+            align-items: center;
+            flex-wrap: wrap;
+            font-size: 14px;
+            color: #555;
+        }
+        .content-transforms {
+            display: inline-flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+        .export-options input[type="number"] {
+            width: 100px;
+            padding: 4px;
+        }
+        .export-result {
+            margin-top: 15px;
+            padding: 10px 15px;
+            background: #f8f9fa;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        .export-result-row {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            padding: 4px 0;
+            font-size: 14px;
+        }
+        .export-result-row span {
+            flex: 1;
+            word-break: break-all;
+        }
+        .export-result-row a,
+        .export-result-row button {
+            padding: 6px 12px;
+            font-size: 14px;
+        }
+        .export-result-row a {
+            background: #007bff;
+            color: white;
+            border-radius: 4px;
+            text-decoration: none;
+        }
+        .exports-panel {
+            margin-top: 20px;
+            padding: 10px 15px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+        }
+        .exports-panel summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #555;
+        }
+        .exports-toolbar {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin: 10px 0;
+        }
+        .exports-toolbar button,
+        .exports-actions button {
+            padding: 4px 10px;
+            font-size: 13px;
+        }
+        .exports-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        .exports-table th,
+        .exports-table td {
+            padding: 6px 8px;
+            border-bottom: 1px solid #eee;
+            text-align: left;
+        }
+        .exports-actions {
+            white-space: nowrap;
+        }
+        .exports-actions > * {
+            margin-left: 4px;
+        }
+        .exports-empty {
+            color: #888;
+        }
+        .export-section input[type="text"] {
+            flex: 1;
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+        }
+        .secrets-dialog {
+            max-width: 800px;
+            width: 90%;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+        .secrets-list {
+            max-height: 400px;
+            overflow-y: auto;
+        }
+        .secrets-file {
+            margin-bottom: 10px;
+        }
+        .secrets-file-header {
+            display: flex;
+            justify-content: space-between;
+            font-weight: bold;
+        }
+        .secrets-file-header label {
+            font-weight: normal;
+        }
+        .secrets-file ul {
+            margin: 4px 0;
+            padding-left: 20px;
+            font-family: monospace;
+            font-size: 12px;
+        }
+        .secrets-file li {
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        .secrets-actions {
+            display: flex;
+            gap: 10px;
+            justify-content: flex-end;
+            margin-top: 15px;
+        }
+        .status {
+            margin-top: 20px;
+            padding: 15px;
+            border-radius: 4px;
+            display: none;
+        }
+        .status.success {
+            background: #d4edda;
+            color: #155724;
+            border: 1px solid #c3e6cb;
+        }
+        .status.error {
+            background: #f8d7da;
+            color: #721c24;
+            border: 1px solid #f5c6cb;
+        }
+        .file-icon {
+            margin-right: 5px;
+        }
+        /* Modified: .folder-icon now only applies to non-root folders */
+        .folder-icon { 
+            margin-right: 5px;
+            color: #ffc107; /* Yellow for non-root folders */
+        }
+        /* New: style for the root folder icon */
+        .root-folder-icon {
+            margin-right: 5px;
+            color: #333; /* Dark gray/black for the root folder */
+        }
+        .file-count {
+            color: #666;
+            margin-top: 10px;
+        }
+        .file-count.over-budget {
+            color: #721c24;
+            font-weight: bold;
+        }
+        .tokens {
+            color: #6f42c1;
+            font-size: 12px;
+            margin-left: 6px;
+        }
+        .token-controls {
+            margin-top: 10px;
+            gap: 15px;
+            align-items: center;
+            flex-wrap: wrap;
+            font-size: 14px;
+            color: #555;
+        }
+        .token-controls input[type="number"] {
+            width: 110px;
+            padding: 4px;
+        }
+        .budget-meter {
+            height: 8px;
+            margin-top: 8px;
+            background: #e9ecef;
+            border-radius: 4px;
+            overflow: hidden;
+            display: none;
+        }
+        .budget-meter-fill {
+            height: 100%;
+            width: 0;
+            background: #28a745;
+        }
+        .budget-meter-fill.over {
+            background: #dc3545;
+        }
+
+        /* New styles for tree controls, exclusions, and file preview */
+        #recentProjects {
+            max-width: 200px;
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+        }
+        .dialog-backdrop {
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.4);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10;
+        }
+        .dialog {
+            background: white;
+            width: 600px;
+            max-width: 90vw;
+            max-height: 80vh;
+            display: flex;
+            flex-direction: column;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.2);
+        }
+        .dialog h3 {
+            margin-top: 0;
+        }
+        .dialog button {
+            padding: 6px 12px;
+            font-size: 14px;
+        }
+        .browse-roots {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 10px;
+        }
+        .browse-current {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-bottom: 8px;
+        }
+        .browse-current code {
+            word-break: break-all;
+        }
+        .browse-hidden {
+            font-size: 13px;
+            color: #555;
+            margin-bottom: 8px;
+        }
+        .browse-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            overflow-y: auto;
+            flex: 1;
+            min-height: 200px;
+        }
+        .browse-list li {
+            padding: 6px 10px;
+            cursor: pointer;
+        }
+        .browse-list li:hover {
+            background: #e9ecef;
+        }
+        .dialog-buttons {
+            display: flex;
+            justify-content: flex-end;
+            gap: 10px;
+            margin-top: 15px;
+        }
+
+        .profile-controls {
+            margin-bottom: 20px;
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            font-size: 14px;
+            color: #555;
+        }
+        .profile-controls select {
+            flex: 1;
+            padding: 8px;
+            font-size: 14px;
+        }
+        .profile-controls button {
+            padding: 8px 15px;
+            font-size: 14px;
+        }
+
+        .job-progress {
+            margin-bottom: 20px;
+            padding: 10px 15px;
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            background: #e7f1ff;
+            border: 1px solid #b6d4fe;
+            border-radius: 4px;
+            font-size: 14px;
+            color: #084298;
+        }
+        .job-progress span {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .job-progress button {
+            padding: 6px 12px;
+            font-size: 14px;
+        }
+
+        .tree-controls {
+            margin-bottom: 15px;
+            display: flex; /* Initially hidden, but set display property here */
+            gap: 10px;
+        }
+        .tree-controls button {
+            padding: 8px 15px;
+            font-size: 14px;
+        }
+        .tree-controls input[type="text"] {
+            flex: 1;
+            padding: 8px;
+            font-size: 14px;
+        }
+
+        .exclusion-controls {
+            margin-top: 15px;
+            margin-bottom: 20px;
+            padding: 15px;
+            background: #e6e6e6;
+            border-radius: 4px;
+            display: none; /* Initially hidden */
+        }
+        .exclusion-controls h3 {
+            margin-top: 0;
+            margin-bottom: 10px;
+            color: #555;
+            font-size: 16px;
+        }
+        .exclusion-controls label {
+            margin-right: 15px;
+            font-size: 14px;
+            display: inline-block;
+            cursor: pointer;
+        }
+        .exclusion-controls input[type="checkbox"] {
+            margin-right: 5px;
+        }
+        .pattern-lists {
+            display: flex;
+            gap: 15px;
+            margin-bottom: 10px;
+        }
+        .pattern-lists > div {
+            flex: 1;
+        }
+        .exclusion-controls textarea {
+            width: 100%;
+            box-sizing: border-box;
+            min-height: 110px;
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-family: 'Consolas', 'Monaco', monospace;
+            font-size: 13px;
+        }
+        .exclusion-controls .hint {
+            color: #666;
+            font-size: 12px;
+            margin: 0 0 6px 0;
+        }
+
+        .tree-item .toggle-icon {
+            margin-right: 5px;
+            font-size: 14px;
+            color: #555;
+            cursor: pointer;
+            display: inline-block; /* Ensure it respects margin-right */
+            width: 1em; /* Fixed width to prevent text reflow on toggle */
+            text-align: center;
+        }
+
+        .file-content-preview {
+            margin-top: 20px;
+            padding: 20px;
+            background: #fff;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            max-height: 400px;
+            overflow-y: auto;
+            display: none; /* Initially hidden */
+        }
+        .file-content-preview h3 {
+            margin-top: 0;
+            color: #333;
+            font-size: 18px;
+            margin-bottom: 10px;
+        }
+        .file-content-preview pre {
+            background: #eee;
+            padding: 15px;
+            border-radius: 4px;
+            overflow-x: auto;
+            white-space: pre-wrap; /* Ensure long lines wrap */
+            word-wrap: break-word; /* Break long words */
+        }
+        .file-content-preview code {
+            font-family: 'Consolas', 'Monaco', monospace;
+            font-size: 14px;
+            color: #333;
+        }
+        .code-line {
+            display: flex;
+        }
+        .code-line.in-range {
+            background: #fff3cd;
+        }
+        .code-line.dragging {
+            background: #cce5ff;
+        }
+        .line-number {
+            flex: none;
+            min-width: 3em;
+            padding-right: 10px;
+            margin-right: 10px;
+            text-align: right;
+            color: #999;
+            border-right: 1px solid #ccc;
+            cursor: pointer;
+            user-select: none;
+        }
+        .line-text {
+            flex: 1;
+            min-width: 0;
+        }
+        .preview-pager {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-bottom: 10px;
+            font-size: 13px;
+            color: #555;
+        }
+        .preview-pager button {
+            padding: 2px 8px;
+            font-size: 12px;
+        }
+        .preview-pager input {
+            width: 80px;
+        }
+        .code-line.target {
+            outline: 2px solid #007bff;
+        }
+        .tok-comment { color: #6a737d; font-style: italic; }
+        .tok-string { color: #032f62; }
+        .tok-keyword { color: #d73a49; }
+        .tok-number { color: #005cc5; }
+        .tok-meta { color: #6f42c1; }
+        .tok-tag { color: #22863a; }
+        .tok-attr { color: #6f42c1; }
+        .tok-variable { color: #e36209; }
+        .preview-ranges {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            align-items: center;
+            margin-bottom: 10px;
+            font-size: 13px;
+            color: #555;
+        }
+        .preview-ranges .range-chip {
+            padding: 2px 8px;
+            background: #fff3cd;
+            border-radius: 10px;
+        }
+        .preview-ranges button {
+            padding: 2px 8px;
+            font-size: 12px;
+        }
+        .range-tag {
+            margin-left: 8px;
+            padding: 0 5px;
+            font-size: 11px;
+            color: #856404;
+            background: #fff3cd;
+            border-radius: 3px;
+        }
+        /* Style for the footer */
+        .footer {
+            text-align: center;
+            margin-top: 40px;
+            font-size: 12px;
+            color: #888;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📁 Project Code Exporter</h1>
+        
+        <div class="input-group">
+            <select id="recentProjects" onchange="openRecentProject()">
+                <option value="">Recent projects…</option>
+            </select>
+            <input type="text" id="projectPath" placeholder="Enter project path (e.g., C:\\Users\\YourName\\Projects\\my-project)">
+            <button onclick="openBrowseDialog()">Browse…</button>
+            <button onclick="loadProject()">Load Project</button>
+        </div>
+
+        <div id="browseDialog" class="dialog-backdrop" style="display: none;">
+            <div class="dialog">
+                <h3>Choose a project folder</h3>
+                <div class="browse-roots" id="browseRoots"></div>
+                <div class="browse-current">
+                    <button id="browseUp" onclick="browseTo(browseState.parent)">⬆ Up</button>
+                    <code id="browseCurrentPath"></code>
+                </div>
+                <label class="browse-hidden"><input type="checkbox" id="browseShowHidden" onchange="renderBrowseList()"> Show hidden folders</label>
+                <ul class="browse-list" id="browseList"></ul>
+                <div class="dialog-buttons">
+                    <button onclick="closeBrowseDialog()">Cancel</button>
+                    <button onclick="chooseBrowsedFolder()">Use this folder</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="profile-controls">
+            <label for="profileSelect">Profile:</label>
+            <select id="profileSelect">
+                <option value="">(no saved profiles)</option>
+            </select>
+            <button onclick="loadProfile()">Load</button>
+            <button onclick="saveProfile()">Save</button>
+            <button onclick="renameProfile()">Rename</button>
+            <button onclick="deleteProfile()">Delete</button>
+        </div>
+
+        <div class="job-progress" id="jobProgress" style="display: none;">
+            <span id="jobProgressText"></span>
+            <button onclick="cancelJob()">Cancel</button>
+        </div>
+
+        <div class="tree-controls" style="display: none;">
+            <button onclick="expandAll()">Expand All</button>
+            <button onclick="collapseAll()">Collapse All</button>
+            <input type="text" id="treeSearch" placeholder="Search files and folders..." oninput="filterTree()">
+            <select id="searchMode" onchange="changeSearchMode()" title="Match file and folder names, or search inside the files">
+                <option value="names">Names</option>
+                <option value="content">Contents</option>
+            </select>
+            <div class="content-search-options" id="contentSearchOptions" style="display: none;">
+                <label><input type="checkbox" id="searchRegex" onchange="filterTree()"> Regex</label>
+                <label><input type="checkbox" id="searchCaseSensitive" onchange="filterTree()"> Match case</label>
+                <button id="selectMatchingButton" onclick="selectMatchingFiles()" disabled>Select all matching</button>
+            </div>
+            <div class="git-controls" id="gitControls" style="display: none;">
+                <button onclick="selectChangedFiles()">Select changed since</button>
+                <input type="text" id="gitRef" placeholder="HEAD" title="A branch, tag or commit, or a range such as main..feature">
+            </div>
+        </div>
+
+        <div id="treeContainer" class="tree-container" style="display: none;"></div>
+
+        <details class="exports-panel" id="dependencyPanel" style="display: none;">
+            <summary>Dependencies</summary>
+            <div class="exports-toolbar">
+                <label>Follow imports up to
+                    <input type="number" id="dependencyDepth" min="1" placeholder="any" style="width: 60px;">
+                    levels deep</label>
+                <span class="dependency-hint">Use ⇲ beside a JS/TS file to select it with everything it imports.</span>
+            </div>
+            <div id="dependencyGraph" class="dependency-graph"></div>
+        </details>
+        
+        <div class="exclusion-controls">
+            <div class="pattern-lists">
+                <div>
+                    <h3>Include patterns:</h3>
+                    <p class="hint">One glob per line. Leave empty to include every file.</p>
+                    <textarea id="includePatterns" placeholder="src/**/*.ts&#10;!**/*.test.ts"></textarea>
+                </div>
+                <div>
+                    <h3>Exclude patterns:</h3>
+                    <p class="hint">One glob per line. Prefix with ! to re-include.</p>
+                    <textarea id="excludePatterns">${new ProjectExporter().defaultExcludePatterns.join('\n')}</textarea>
+                </div>
+            </div>
+            <h3>Ignore files:</h3>
+            <label><input type="checkbox" id="useGitignore" checked> Respect .gitignore, .exporterignore and .git/info/exclude</label>
+            <h3>Symbolic links:</h3>
+            <select id="symlinkPolicy">
+                <option value="within-root" selected>Follow links that stay inside the project</option>
+                <option value="follow">Follow all links</option>
+                <option value="skip">Skip links</option>
+            </select>
+        </div>
+
+        <div class="file-count" id="fileCount"></div>
+
+        <div class="token-controls" id="tokenControls" style="display: none;">
+            <label>Model:
+                <select id="tokenModel" onchange="updateFileCount()">
+                    ${Object.entries(TOKENIZER_MODELS).map(([id, model]) => `<option value="${id}">${model.label}</option>`).join('')}
+                </select>
+            </label>
+            <label>Token budget:
+                <input type="number" id="tokenBudget" min="0" step="1000" placeholder="none" oninput="updateBudgetMeter()">
+            </label>
+            <label>When over budget:
+                <select id="budgetMode">
+                    <option value="warn">Warn before export</option>
+                    <option value="block">Block export</option>
+                </select>
+            </label>
+        </div>
+        <div class="budget-meter" id="budgetMeter"><div class="budget-meter-fill" id="budgetMeterFill"></div></div>
+        
+        <div class="export-section" id="exportSection" style="display: none;">
+            <input type="text" id="exportName" placeholder="Custom filename or template, e.g. {project}_{date} (optional)">
+            <button onclick="exportFiles()">Export Selected Files</button>
+        </div>
+
+        <div class="export-options" id="exportOptions" style="display: none;">
+            <label>Format:
+                <select id="exportFormat">
+                    ${Object.entries(EXPORT_FORMATS).map(([id, format]) => `<option value="${id}">${format.label}</option>`).join('')}
+                </select>
+            </label>
+            <label><input type="checkbox" id="includeBinary"> Include binary files (base64)</label>
+            <label id="diffModeControl" style="display: none;">Git diff:
+                <select id="diffMode">
+                    <option value="none">Full content only</option>
+                    <option value="diff">Diff instead of content</option>
+                    <option value="both">Content and diff</option>
+                </select>
+            </label>
+            <span class="content-transforms">Content:
+                ${Object.entries(CONTENT_TRANSFORMS).map(([id, transform]) => `<label><input type="checkbox" class="content-transform" value="${id}"> ${transform.label}</label>`).join('')}
+            </span>
+            <label>Split into parts of at most
+                <input type="number" id="maxPartSize" min="1" placeholder="no limit">
+                <select id="maxPartUnit">
+                    <option value="KB">KB</option>
+                    <option value="MB">MB</option>
+                    <option value="tokens">tokens</option>
+                </select>
+            </label>
+        </div>
+
+        <div class="export-result" id="exportResult" style="display: none;"></div>
+
+        <details class="exports-panel" id="exportsPanel" ontoggle="if (this.open) refreshExports()">
+            <summary>Previous exports</summary>
+            <div class="exports-toolbar">
+                <button onclick="refreshExports()">Refresh</button>
+                <label>Clean up:
+                    <select id="exportsCleanupAge">
+                        <option value="7">older than 7 days</option>
+                        <option value="30">older than 30 days</option>
+                        <option value="0">all exports</option>
+                    </select>
+                </label>
+                <button onclick="cleanupExports()">Delete</button>
+            </div>
+            <table class="exports-table">
+                <thead>
+                    <tr><th>Date</th><th>Project</th><th>Files</th><th>Size</th><th>Format</th><th></th></tr>
+                </thead>
+                <tbody id="exportsList"></tbody>
+            </table>
+            <p class="exports-empty" id="exportsEmpty" style="display: none;">No exports yet.</p>
+        </details>
+
+        <div id="fileContentPreview" class="file-content-preview">
+            <h3>File Content: <span id="previewFileName"></span></h3>
+            <div class="preview-ranges" id="previewRanges" style="display: none;"></div>
+            <div class="preview-pager" id="previewPager" style="display: none;">
+                <button onclick="showPreviewPage(previewStartLine - PREVIEW_PAGE_LINES)">◀ Previous</button>
+                <span id="previewPageInfo"></span>
+                <button onclick="showPreviewPage(previewStartLine + PREVIEW_PAGE_LINES)">Next ▶</button>
+                <label>Go to line <input type="number" id="previewGoToLine" min="1" onchange="goToPreviewLine(this.value)"></label>
+            </div>
+            <pre><code id="fileContentCode"></code></pre>
+        </div>
+        
+        <div id="status" class="status"></div>
+
+        <dialog class="secrets-dialog" id="secretsDialog" oncancel="closeSecretsReview(null)">
+            <h3>Possible secrets in the selection</h3>
+            <p>By default these are replaced with [REDACTED:type] in the export. Files can also be left out; files that usually hold credentials are left out unless you uncheck them.</p>
+            <div class="secrets-list" id="secretsList"></div>
+            <div class="secrets-actions">
+                <button onclick="closeSecretsReview('redact')">Export with redaction</button>
+                <button onclick="closeSecretsReview('keep')">Export without redaction</button>
+                <button onclick="closeSecretsReview(null)">Cancel</button>
+            </div>
+        </dialog>
+    </div>
+
+    <div class="footer">
+        Made with ❤️ by YOAV M
+    </div>
+
+    <script>
+        // Each tab has its own session on the server, with its own project and selection. The id
+        // is kept in sessionStorage, so reloading the tab keeps it, and sent with every request.
+        const SESSION_ID = sessionStorage.getItem('exporterSession') ||
+            Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        sessionStorage.setItem('exporterSession', SESSION_ID);
+
+        function sessionFetch(url, options = {}) {
+            return fetch(url, { ...options, headers: { ...options.headers, 'X-Session-Id': SESSION_ID } });
+        }
+
+        // Calls a JSON endpoint. Failures arrive with an HTTP error status and a body of
+        // { error: { code, message } }; they are returned as { error: message, code, status }.
+        async function api(url, options = {}) {
+            const response = await sessionFetch(url, options);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = data.error || {};
+                return { error: error.message || 'Request failed (' + response.status + ')', code: error.code, status: response.status };
+            }
+            return data;
+        }
+
+        let projectData = null;
+        let allTreeItems = []; // Stores references to all rendered tree item DOM elements
+        let treeItemsByPath = new Map(); // The same tree items by their relative path
+        let activeJobId = null; // Job id of the project scan or export that is currently running
+        let lastFileTokens = {}; // Per-file token counts from the last /api/count
+        let gitChanges = {}; // Uncommitted changes of the project: path -> modified/staged/untracked/conflicted
+        let filterTimer = null;
+        let filterRequest = 0; // Lets an older search result be ignored when a newer one is pending
+        let searchController = null; // Aborts the content search still running when the filter changes
+        let searchMatches = new Map(); // Files found by the last content search: path -> { matches, snippets }
+        let lineRanges = {}; // Files selected by line ranges: path -> [{ start, end }]
+        let previewPath = null; // Relative path of the file shown in the preview
+        let previewStartLine = 1; // First line of the preview page that is shown
+        let previewTotalLines = 0;
+        const PREVIEW_PAGE_LINES = ${PREVIEW_PAGE_LINES};
+        let rangeDrag = null; // The line range being dragged over the preview's line numbers
+        let selectedTokens = 0; // Estimated tokens of the current selection (from /api/count)
+
+        async function loadProject() {
+            const projectPath = document.getElementById('projectPath').value;
+            if (!projectPath) {
+                showStatus('Please enter a project path', 'error');
+                return;
+            }
+
+            try {
+                const job = await api('/api/load', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        path: projectPath,
+                        include: readPatterns('includePatterns'),
+                        exclude: readPatterns('excludePatterns'),
+                        useGitignore: document.getElementById('useGitignore').checked,
+                        symlinks: document.getElementById('symlinkPolicy').value
+                    })
+                });
+                if (job.error) {
+                    // Escaped backticks
+                    showStatus(\`Error loading project: \${job.error}\`, 'error');
+                    return false;
+                }
+
+                const { status, data } = await followJob(job.jobId, progress =>
+                    \`Scanning… \${progress.filesSeen.toLocaleString()} files in \${progress.directoriesSeen.toLocaleString()} folders · \${progress.currentDirectory || '/'}\`);
+                if (status === 'cancelled') {
+                    // A scan is also cancelled when another one replaces it; that one reports itself
+                    if (!activeJobId) showStatus('Project scan cancelled', 'error');
+                    return false;
+                }
+                if (status !== 'done') {
+                    showStatus(\`Error loading project: \${data.error}\`, 'error');
+                    return false;
+                }
+
+                projectData = data;
+                refreshRecentProjects();
+                gitChanges = {};
+                searchMatches = new Map();
+                lineRanges = {};
+                renderTree(data.tree);
+                refreshGitStatus();
+                document.getElementById('treeContainer').style.display = 'block';
+                document.querySelector('.tree-controls').style.display = 'flex';
+                document.getElementById('dependencyPanel').style.display = 'block';
+                document.getElementById('dependencyGraph').innerHTML = '';
+                document.querySelector('.exclusion-controls').style.display = 'block';
+                document.getElementById('exportSection').style.display = 'flex';
+                document.getElementById('exportOptions').style.display = 'flex';
+                document.getElementById('tokenControls').style.display = 'flex';
+                updateFileCount();
+                // Escaped backticks
+                showStatus(\`Project loaded successfully!\`, 'success');
+                
+                // Reset search and file preview
+                document.getElementById('treeSearch').value = '';
+                filterTree(); // Apply filter to show all initially
+                document.getElementById('fileContentPreview').style.display = 'none';
+                document.getElementById('fileContentCode').textContent = '';
+                document.getElementById('previewFileName').textContent = '';
+                return true;
+
+            } catch (err) {
+                // Escaped backticks
+                showStatus(\`Error loading project: \${err.message}\`, 'error');
+                return false;
+            }
+        }
+
+        // Shows the progress of a running server job (project scan or export) until it ends,
+        // using describeProgress to turn its progress events into text. Resolves to
+        // { status, data }: 'done' with the job's result, or 'failed'/'cancelled' with an error.
+        function followJob(jobId, describeProgress) {
+            activeJobId = jobId;
+            const progress = document.getElementById('jobProgress');
+            const progressText = document.getElementById('jobProgressText');
+            progressText.textContent = 'Starting…';
+            progress.style.display = 'flex';
+
+            return new Promise(resolve => {
+                const events = new EventSource('/api/jobs/' + encodeURIComponent(jobId) + '/events?session=' + SESSION_ID);
+                const finish = (status, data) => {
+                    events.close();
+                    if (activeJobId === jobId) {
+                        activeJobId = null;
+                        progress.style.display = 'none';
+                    }
+                    resolve({ status, data });
+                };
+
+                events.addEventListener('progress', e => {
+                    progressText.textContent = describeProgress(JSON.parse(e.data));
+                });
+                ['done', 'failed', 'cancelled'].forEach(status => {
+                    events.addEventListener(status, e => finish(status, JSON.parse(e.data)));
+                });
+                events.onerror = () => finish('failed', { error: 'Lost connection to the server' });
+            });
+        }
+
+        async function cancelJob() {
+            if (activeJobId) {
+                await api('/api/jobs/' + encodeURIComponent(activeJobId) + '/cancel', { method: 'POST' });
+            }
+        }
+
+        // Reads one glob pattern per non-empty line of a textarea
+        function readPatterns(textareaId) {
+            return document.getElementById(textareaId).value
+                .split('\\n')
+                .map(line => line.trim())
+                .filter(line => line !== '');
+        }
+
+        function renderTree(node, container = null, level = 0) {
+            if (!container) {
+                container = document.getElementById('treeContainer');
+                container.innerHTML = ''; // Clear previous tree
+                allTreeItems = []; // Reset list of all tree items
+                treeItemsByPath = new Map();
+            }
+
+            const item = document.createElement('div');
+            item.className = 'tree-item ' + node.type; // Add 'directory' or 'file' class
+            item.style.paddingLeft = (level * 20) + 'px';
+            item.dataset.path = node.path; // Store relative path on the DOM element
+            item.dataset.level = level;
+            // Directories deeper down arrive without their children, which are fetched on expand
+            const childrenLoaded = node.type !== 'directory' || Boolean(node.children) || node.childCount === 0;
+            item.dataset.loaded = childrenLoaded;
+
+            const label = document.createElement('label');
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = node.path;
+            checkbox.checked = node.selected;
+            checkbox.onchange = (e) => {
+                updateSelection(node.path, e.target.checked);
+            };
+
+            // Toggle icon for directories
+            let toggleIcon = null;
+            if (node.type === 'directory') {
+                toggleIcon = document.createElement('span');
+                toggleIcon.className = 'toggle-icon';
+                toggleIcon.textContent = childrenLoaded ? '▼' : '►'; // Loaded folders start expanded
+                toggleIcon.onclick = (e) => {
+                    e.stopPropagation(); // Prevent label click from also triggering this
+                    toggleNode(item);
+                };
+                label.appendChild(toggleIcon);
+            }
+
+            // Modified: Assign different icon class based on whether it's the root folder
+            const icon = document.createElement('span');
+            let iconClass = '';
+            let iconText = '';
+
+            if (node.type === 'directory') {
+                iconText = '📁';
+                if (node.path === '') { // This is the root folder
+                    iconClass = 'root-folder-icon'; // New class for the root
+                } else { // This is any other folder
+                    iconClass = 'folder-icon'; // Existing class for non-root folders
+                }
+            } else if (node.binary) { // Binary files are listed but their content is skipped on export
+                iconText = '📦';
+                iconClass = 'file-icon';
+                item.classList.add('binary');
+            } else { // It's a file
+                iconText = '📄';
+                iconClass = 'file-icon'; // Existing class for files
+            }
+            icon.className = iconClass;
+            icon.textContent = iconText;
+
+            const name = document.createElement('span');
+            // This line uses a regex literal, not a template literal, so backslashes are fine.
+            name.textContent = node.path === '' ? document.getElementById('projectPath').value.split(/[\\/]/).pop() : node.name; 
+
+            const size = document.createElement('span');
+            size.className = 'size';
+            size.textContent = '(' + node.formattedSize + ')';
+
+            label.appendChild(checkbox);
+            label.appendChild(icon);
+            label.appendChild(name);
+            label.appendChild(size);
+            // Filled in with the estimated token count while the item is selected
+            const tokens = document.createElement('span');
+            tokens.className = 'tokens';
+            label.appendChild(tokens);
+            if (node.type === 'file' && !node.binary && SCRIPT_FILE_PATTERN.test(node.name)) {
+                const depsAction = document.createElement('span');
+                depsAction.className = 'deps-action';
+                depsAction.textContent = '⇲';
+                depsAction.title = 'Select with dependencies';
+                depsAction.onclick = (e) => {
+                    e.preventDefault(); // Keep the label from toggling the checkbox or opening the preview
+                    e.stopPropagation();
+                    selectWithDependencies(node.path);
+                };
+                label.appendChild(depsAction);
+            }
+            if (node.binary) {
+                const binaryTag = document.createElement('span');
+                binaryTag.className = 'binary-tag';
+                binaryTag.textContent = 'binary';
+                label.appendChild(binaryTag);
+            }
+            item.appendChild(label);
+            updateGitBadge(item);
+            updateSearchMatch(item);
+            updateRangeTag(item);
+            container.appendChild(item);
+
+            // Add click listener for file content preview (only for files)
+            if (node.type === 'file') {
+                label.onclick = (e) => {
+                    // Only trigger preview if checkbox itself wasn't clicked
+                    if (e.target !== checkbox) {
+                        showFileContent(node.path, node.name);
+                    }
+                };
+            }
+
+            // Create a container for children nodes
+            const childrenContainer = document.createElement('div');
+            childrenContainer.className = 'tree-children';
+            item.appendChild(childrenContainer);
+            if (!childrenLoaded) {
+                childrenContainer.style.display = 'none';
+            }
+
+            if (node.children) {
+                node.children.forEach(child => renderTree(child, childrenContainer, level + 1));
+            }
+
+            allTreeItems.push(item); // Add to the global list for filtering
+            treeItemsByPath.set(node.path, item);
+        }
+
+        // Fetches and renders the children of folders that were sent without them.
+        // depth is the number of levels to fetch, or 'all' for complete subtrees.
+        async function loadChildren(dirPaths, depth = 1) {
+            const pending = dirPaths.filter(dirPath => {
+                const item = treeItemsByPath.get(dirPath);
+                return item && item.dataset.loaded === 'false';
+            });
+            if (pending.length === 0) return;
+
+            const query = pending.map(dirPath => 'path=' + encodeURIComponent(dirPath)).join('&');
+            const data = await api('/api/children?' + query + '&depth=' + depth);
+            Object.entries(data.directories).forEach(([dirPath, children]) => {
+                const item = treeItemsByPath.get(dirPath);
+                if (!item || item.dataset.loaded !== 'false') return; // Already loaded meanwhile
+                const childrenContainer = item.querySelector(':scope > .tree-children');
+                children.forEach(child => renderTree(child, childrenContainer, Number(item.dataset.level) + 1));
+                item.dataset.loaded = 'true';
+            });
+            updateTreeTokens(lastFileTokens);
+        }
+
+        // Loads and expands the folders that lead to each of the given paths
+        async function revealPaths(paths) {
+            const ancestors = new Set();
+            paths.forEach(itemPath => {
+                let parentPath = itemPath;
+                while (parentPath !== '') {
+                    parentPath = parentPath.includes('/') ? parentPath.substring(0, parentPath.lastIndexOf('/')) : '';
+                    ancestors.add(parentPath);
+                }
+            });
+
+            // A folder can only be loaded once its parent is rendered, so go level by level
+            const levels = [];
+            ancestors.forEach(dirPath => {
+                const depth = dirPath === '' ? 0 : dirPath.split('/').length;
+                (levels[depth] = levels[depth] || []).push(dirPath);
+            });
+            for (const level of levels) {
+                if (level) await loadChildren(level);
+            }
+
+            ancestors.forEach(dirPath => {
+                const item = treeItemsByPath.get(dirPath);
+                if (item) setExpanded(item, true);
+            });
+        }
+
+        function setExpanded(itemElement, expanded) {
+            const childrenContainer = itemElement.querySelector(':scope > .tree-children');
+            const toggleIcon = itemElement.querySelector(':scope > label > .toggle-icon');
+            if (childrenContainer) childrenContainer.style.display = expanded ? 'block' : 'none';
+            if (toggleIcon) toggleIcon.textContent = expanded ? '▼' : '►';
+        }
+
+        // --- Git integration ---
+        const GIT_BADGES = { modified: 'M', staged: 'S', untracked: 'U', conflicted: '!' };
+
+        // Marks files with uncommitted changes, and offers the git controls for repositories
+        async function refreshGitStatus() {
+            const data = await api('/api/git/status');
+            const isRepository = Boolean(data.repository);
+            gitChanges = data.changes || {};
+
+            document.getElementById('gitControls').style.display = isRepository ? 'flex' : 'none';
+            document.getElementById('diffModeControl').style.display = isRepository ? 'inline-block' : 'none';
+            if (!isRepository) {
+                document.getElementById('diffMode').value = 'none';
+            }
+            allTreeItems.forEach(updateGitBadge);
+        }
+
+        function updateGitBadge(item) {
+            const label = item.querySelector(':scope > label');
+            const existing = label.querySelector('.git-badge');
+            if (existing) existing.remove();
+
+            const state = gitChanges[item.dataset.path];
+            if (!state) return;
+            const badge = document.createElement('span');
+            badge.className = 'git-badge git-' + state;
+            badge.textContent = GIT_BADGES[state];
+            badge.title = state;
+            label.appendChild(badge);
+        }
+
+        // The ref is also the base for diffs in the export
+        function getGitRef() {
+            return document.getElementById('gitRef').value.trim() || 'HEAD';
+        }
+
+        async function selectChangedFiles() {
+            const ref = getGitRef();
+            const data = await api('/api/git/select-changed', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ref })
+            });
+            if (data.error) {
+                showStatus(\`Error selecting changed files: \${data.error}\`, 'error');
+                return;
+            }
+
+            await revealPaths(data.paths);
+            syncCheckboxes(data.paths);
+            updateFileCount();
+            const skipped = data.skipped > 0 ? \` (\${data.skipped} changed paths are not in the tree)\` : '';
+            showStatus(\`Selected \${data.paths.length} files changed since \${ref}\${skipped}\`, 'success');
+        }
+
+        // --- Dependency graph ---
+        const SCRIPT_FILE_PATTERN = /\\.(?:[cm]?js|jsx|[cm]?ts|tsx)$/i;
+
+        // Adds a file and everything it imports (up to the depth limit) to the selection
+        async function selectWithDependencies(filePath) {
+            const maxDepth = parseInt(document.getElementById('dependencyDepth').value, 10) || null;
+            const data = await api('/api/dependencies/select', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path: filePath, maxDepth })
+            });
+            if (data.error) {
+                showStatus(\`Error following dependencies: \${data.error}\`, 'error');
+                return;
+            }
+
+            await revealPaths(data.graph.files.map(file => file.path));
+            syncCheckboxes(data.paths);
+            updateFileCount();
+            renderDependencyGraph(data.graph);
+            const unresolved = data.graph.unresolved.length > 0 ? \` (\${data.graph.unresolved.length} imports could not be resolved)\` : '';
+            showStatus(\`Selected \${filePath} with \${data.graph.files.length - 1} dependencies\${unresolved}\`, 'success');
+        }
+
+        // Shows the import graph as a tree from the entry file. Files that were already listed
+        // are not expanded a second time.
+        function renderDependencyGraph(graph) {
+            const imports = new Map();
+            graph.edges.forEach(edge => {
+                if (!imports.has(edge.from)) imports.set(edge.from, []);
+                imports.get(edge.from).push(edge.to);
+            });
+
+            const listed = new Set();
+            const renderFile = (filePath) => {
+                const item = document.createElement('li');
+                item.textContent = filePath;
+                if (listed.has(filePath)) {
+                    item.className = 'repeat';
+                    item.textContent += ' ↑';
+                    item.title = 'Listed above';
+                    return item;
+                }
+                listed.add(filePath);
+                const children = imports.get(filePath) || [];
+                if (children.length > 0) {
+                    const list = document.createElement('ul');
+                    children.forEach(child => list.appendChild(renderFile(child)));
+                    item.appendChild(list);
+                }
+                return item;
+            };
+
+            const container = document.getElementById('dependencyGraph');
+            container.innerHTML = '';
+            const root = document.createElement('ul');
+            root.appendChild(renderFile(graph.entry));
+            container.appendChild(root);
+
+            if (graph.unresolved.length > 0) {
+                const note = document.createElement('p');
+                note.className = 'dependency-hint';
+                note.textContent = 'Not found: ' + graph.unresolved.map(item => \`\${item.specifier} (from \${item.from})\`).join(', ');
+                container.appendChild(note);
+            }
+            if (graph.skipped.length > 0) {
+                const note = document.createElement('p');
+                note.className = 'dependency-hint';
+                note.textContent = 'Too large to scan for imports: ' + graph.skipped.join(', ');
+                container.appendChild(note);
+            }
+            document.getElementById('dependencyPanel').open = true;
+        }
+
+        // --- Tree Expansion/Collapse Functions ---
+        async function toggleNode(itemElement) {
+            if (itemElement.dataset.loaded === 'false') {
+                await loadChildren([itemElement.dataset.path]);
+            }
+
+            const childrenContainer = itemElement.querySelector('.tree-children');
+            const toggleIcon = itemElement.querySelector('.toggle-icon');
+
+            if (childrenContainer && toggleIcon) {
+                if (childrenContainer.style.display === 'none') {
+                    childrenContainer.style.display = 'block';
+                    toggleIcon.textContent = '▼'; // Expanded
+                } else {
+                    childrenContainer.style.display = 'none';
+                    toggleIcon.textContent = '►'; // Collapsed
+                }
+            }
         }
-        button:disabled {
-            background: #ccc;
-            cursor: not-allowed;
+
+        async function expandAll() {
+            // Everything below the folders that are not loaded yet is fetched in one go
+            const unloaded = allTreeItems.filter(itemElement => itemElement.dataset.loaded === 'false');
+            await loadChildren(unloaded.map(itemElement => itemElement.dataset.path), 'all');
+
+            allTreeItems.forEach(itemElement => {
+                if (itemElement.classList.contains('directory')) {
+                    const childrenContainer = itemElement.querySelector('.tree-children');
+                    const toggleIcon = itemElement.querySelector('.toggle-icon');
+                    if (childrenContainer) childrenContainer.style.display = 'block';
+                    if (toggleIcon) toggleIcon.textContent = '▼';
+                }
+            });
         }
-        .tree-container {
-            background: #f9f9f9;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            padding: 20px;
-            margin-bottom: 20px;
-            max-height: 500px;
-            overflow-y: auto;
+
+        function collapseAll() {
+            allTreeItems.forEach(itemElement => {
+                // Do not collapse the very root container itself, only its children
+                // The root element (level 0) often just holds the first set of children
+                // We identify actual expandable directories by the presence of toggleIcon.
+                if (itemElement.classList.contains('directory') && itemElement.querySelector('.toggle-icon')) {
+                    const childrenContainer = itemElement.querySelector('.tree-children');
+                    const toggleIcon = itemElement.querySelector('.toggle-icon');
+                    if (childrenContainer) childrenContainer.style.display = 'none';
+                    if (toggleIcon) toggleIcon.textContent = '►';
+                }
+            });
         }
-        .tree-item {
-            margin: 2px 0;
-            white-space: nowrap;
+
+        // --- Tree Search/Filter Function ---
+        // Names are matched on the server, so files in folders that were never expanded are found too.
+        // In content mode the server searches inside the files instead.
+        function filterTree() {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(applyTreeFilter, 200);
         }
-        .tree-item label {
-            cursor: pointer;
-            display: inline-flex;
-            align-items: center;
-            padding: 2px 5px;
-            border-radius: 3px;
+
+        function changeSearchMode() {
+            const contentMode = document.getElementById('searchMode').value === 'content';
+            document.getElementById('contentSearchOptions').style.display = contentMode ? 'flex' : 'none';
+            document.getElementById('treeSearch').placeholder = contentMode ? 'Search file contents...' : 'Search files and folders...';
+            filterTree();
         }
-        .tree-item.directory > label { /* Target only the label of a directory item for clickability */
-            cursor: default; /* Remove pointer for label as toggle icon handles it */
+
+        async function applyTreeFilter() {
+            const contentMode = document.getElementById('searchMode').value === 'content';
+            const searchTerm = document.getElementById('treeSearch').value;
+            const request = ++filterRequest;
+            if (searchController) {
+                // Closing the request stops the search on the server as well
+                searchController.abort();
+                searchController = null;
+            }
+
+            if (searchTerm === '' || !contentMode) {
+                setSearchMatches([]);
+            }
+            if (searchTerm === '') {
+                allTreeItems.forEach(item => {
+                    item.style.display = 'block';
+                });
+                return;
+            }
+
+            if (contentMode) {
+                await applyContentSearch(searchTerm, request);
+                return;
+            }
+
+            const data = await api('/api/find?q=' + encodeURIComponent(searchTerm.toLowerCase()));
+            if (request !== filterRequest) return; // A newer search has started
+            await revealPaths(data.paths);
+            if (request !== filterRequest) return;
+
+            showOnlyPaths(data.paths);
+            if (data.truncated) {
+                showStatus(\`Showing the first \${data.paths.length} matches, refine the search to see more\`, 'success');
+            }
         }
-        .tree-item.file > label {
-            cursor: pointer; /* Indicate file content is clickable */
+
+        async function applyContentSearch(searchTerm, request) {
+            const params = new URLSearchParams({ q: searchTerm });
+            if (document.getElementById('searchRegex').checked) params.set('regex', '1');
+            if (document.getElementById('searchCaseSensitive').checked) params.set('caseSensitive', '1');
+
+            const controller = new AbortController();
+            searchController = controller;
+            let data;
+            try {
+                data = await api('/api/search?' + params, { signal: controller.signal });
+            } catch (err) {
+                if (err.name === 'AbortError') return; // A newer search has started
+                throw err;
+            } finally {
+                if (searchController === controller) searchController = null;
+            }
+            if (request !== filterRequest) return;
+            if (data.error) {
+                setSearchMatches([]);
+                showStatus(\`Search failed: \${data.error}\`, 'error');
+                return;
+            }
+
+            const paths = data.files.map(file => file.path);
+            await revealPaths(paths);
+            if (request !== filterRequest) return;
+
+            setSearchMatches(data.files);
+            showOnlyPaths(paths);
+            const skipped = data.skippedCount > 0 ? \` (\${data.skippedCount} large or unreadable files were not searched)\` : '';
+            showStatus(\`Found \${data.matchCount} matching lines in \${paths.length} files\${skipped}\`, 'success');
         }
-        .tree-item label:hover {
-            background: #e9ecef;
+
+        // Hides every tree item except the given paths and their parent folders
+        function showOnlyPaths(paths) {
+            allTreeItems.forEach(item => {
+                item.style.display = 'none';
+            });
+
+            paths.forEach(itemPath => {
+                let currentPath = itemPath;
+                while (true) {
+                    const item = treeItemsByPath.get(currentPath);
+                    if (item) item.style.display = 'block';
+                    if (currentPath === '') break;
+                    currentPath = currentPath.includes('/') ? currentPath.substring(0, currentPath.lastIndexOf('/')) : '';
+                }
+            });
+            if (treeItemsByPath.has('')) treeItemsByPath.get('').style.display = 'block';
+        }
+
+        // Replaces the content search results shown beside the tree items
+        function setSearchMatches(files) {
+            const previous = searchMatches;
+            searchMatches = new Map(files.map(file => [file.path, file]));
+            new Set([...previous.keys(), ...searchMatches.keys()]).forEach(filePath => {
+                const item = treeItemsByPath.get(filePath);
+                if (item) updateSearchMatch(item);
+            });
+            document.getElementById('selectMatchingButton').disabled = searchMatches.size === 0;
+        }
+
+        // Shows a file's match count after its name, and the first matching lines below it
+        function updateSearchMatch(item) {
+            const label = item.querySelector(':scope > label');
+            const existingBadge = label.querySelector('.match-badge');
+            if (existingBadge) existingBadge.remove();
+            const existingSnippets = item.querySelector(':scope > .search-snippets');
+            if (existingSnippets) existingSnippets.remove();
+
+            const match = searchMatches.get(item.dataset.path);
+            if (!match) return;
+            const badge = document.createElement('span');
+            badge.className = 'match-badge';
+            badge.textContent = match.matches;
+            badge.title = \`\${match.matches} matching lines\`;
+            label.appendChild(badge);
+
+            if (match.snippets.length === 0) return;
+            const snippets = document.createElement('div');
+            snippets.className = 'search-snippets';
+            match.snippets.forEach(snippet => {
+                const line = document.createElement('div');
+                const lineNumber = document.createElement('span');
+                lineNumber.className = 'line-number';
+                lineNumber.textContent = snippet.line + ':';
+                line.appendChild(lineNumber);
+                line.appendChild(document.createTextNode(snippet.text));
+                line.title = snippet.text;
+                snippets.appendChild(line);
+            });
+            label.after(snippets);
+        }
+
+        // Replaces the selection with every file the content search found
+        async function selectMatchingFiles() {
+            const paths = [...searchMatches.keys()];
+            const data = await api('/api/selection', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ paths })
+            });
+            if (data.error) {
+                showStatus(\`Error selecting matching files: \${data.error}\`, 'error');
+                return;
+            }
+
+            syncCheckboxes(data.paths);
+            updateFileCount();
+            showStatus(\`Selected \${data.paths.length} matching files\`, 'success');
+        }
+
+
+        // --- File Content Preview Function ---
+        async function showFileContent(filePath, fileName, startLine = 1) {
+            const previewContainer = document.getElementById('fileContentPreview');
+            const previewFileName = document.getElementById('previewFileName');
+            const fileContentCode = document.getElementById('fileContentCode');
+
+            previewPath = null;
+            previewFileName.textContent = fileName;
+            fileContentCode.textContent = 'Loading...';
+            previewContainer.style.display = 'block';
+            document.getElementById('previewRanges').style.display = 'none';
+            document.getElementById('previewPager').style.display = 'none';
+
+            try {
+                // Large files come a page of lines at a time, already highlighted by the server
+                const data = await api('/api/file-content', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ path: filePath, startLine, lineCount: PREVIEW_PAGE_LINES })
+                });
+
+                if (data.error) {
+                    // Escaped backticks
+                    fileContentCode.textContent = \`Error loading file: \${data.error}\`;
+                    fileContentCode.style.color = 'red';
+                } else if (data.binary) {
+                    fileContentCode.textContent = '[binary file, ' + data.size + ' bytes]';
+                    fileContentCode.style.color = '#888';
+                } else {
+                    previewPath = filePath;
+                    previewStartLine = data.startLine;
+                    previewTotalLines = data.totalLines;
+                    renderPreviewLines(data.lines, data.startLine);
+                    fileContentCode.style.color = '#333'; // Reset color
+                    updatePreviewPager();
+                    setPreviewRanges(data.ranges);
+                }
+            } catch (err) {
+                // Escaped backticks
+                fileContentCode.textContent = \`Network error: \${err.message}\`;
+                fileContentCode.style.color = 'red';
+            }
+        }
+
+        function showPreviewPage(startLine) {
+            if (!previewPath) return;
+            const lastPageStart = Math.max(1, previewTotalLines - PREVIEW_PAGE_LINES + 1);
+            return showFileContent(previewPath, document.getElementById('previewFileName').textContent,
+                Math.min(Math.max(1, startLine), lastPageStart));
+        }
+
+        // Shows the page that holds the line and scrolls it into view
+        async function goToPreviewLine(value) {
+            const line = parseInt(value, 10);
+            if (!previewPath || !(line >= 1)) return;
+            if (line < previewStartLine || line >= previewStartLine + PREVIEW_PAGE_LINES) {
+                await showPreviewPage(line - Math.floor(PREVIEW_PAGE_LINES / 2));
+            }
+            const row = document.querySelector(\`#fileContentCode .code-line[data-line="\${line}"]\`);
+            if (row) {
+                document.querySelectorAll('#fileContentCode .code-line.target').forEach(target => target.classList.remove('target'));
+                row.classList.add('target');
+                row.scrollIntoView({ block: 'center' });
+            }
+        }
+
+        function updatePreviewPager() {
+            const paged = previewTotalLines > PREVIEW_PAGE_LINES;
+            document.getElementById('previewPager').style.display = paged ? 'flex' : 'none';
+            if (!paged) return;
+            const lastLine = Math.min(previewTotalLines, previewStartLine + PREVIEW_PAGE_LINES - 1);
+            document.getElementById('previewPageInfo').textContent =
+                \`Lines \${previewStartLine.toLocaleString()}–\${lastLine.toLocaleString()} of \${previewTotalLines.toLocaleString()}\`;
+        }
+
+        // --- Line ranges ---
+        // Renders a page of the preview one line per row, with line numbers that can be dragged
+        // over to select the lines to export. The lines are HTML escaped and highlighted by the server.
+        function renderPreviewLines(lines, startLine) {
+            const fileContentCode = document.getElementById('fileContentCode');
+            fileContentCode.innerHTML = '';
+            lines.forEach((html, index) => {
+                const lineNumber = startLine + index;
+                const row = document.createElement('div');
+                row.className = 'code-line';
+                row.dataset.line = lineNumber;
+                const number = document.createElement('span');
+                number.className = 'line-number';
+                number.textContent = lineNumber;
+                number.onmousedown = (e) => {
+                    e.preventDefault(); // No text selection while dragging
+                    rangeDrag = { start: lineNumber, end: lineNumber };
+                    markDraggedLines();
+                };
+                const lineText = document.createElement('span');
+                lineText.className = 'line-text';
+                lineText.innerHTML = html;
+                row.append(number, lineText);
+                row.onmouseenter = () => {
+                    if (!rangeDrag) return;
+                    rangeDrag.end = lineNumber;
+                    markDraggedLines();
+                };
+                fileContentCode.appendChild(row);
+            });
+        }
+
+        function markDraggedLines() {
+            const low = Math.min(rangeDrag.start, rangeDrag.end);
+            const high = Math.max(rangeDrag.start, rangeDrag.end);
+            document.querySelectorAll('#fileContentCode .code-line').forEach(row => {
+                const line = Number(row.dataset.line);
+                row.classList.toggle('dragging', line >= low && line <= high);
+            });
+        }
+
+        // A finished drag adds its lines to the file's ranges
+        document.addEventListener('mouseup', () => {
+            if (!rangeDrag) return;
+            const range = { start: Math.min(rangeDrag.start, rangeDrag.end), end: Math.max(rangeDrag.start, rangeDrag.end) };
+            rangeDrag = null;
+            document.querySelectorAll('#fileContentCode .code-line.dragging').forEach(row => row.classList.remove('dragging'));
+            saveLineRanges([...(lineRanges[previewPath] || []), range]);
+        });
+
+        async function saveLineRanges(ranges) {
+            if (!previewPath) return;
+            const data = await api('/api/line-ranges', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path: previewPath, ranges })
+            });
+            if (data.error) {
+                showStatus(\`Error selecting lines: \${data.error}\`, 'error');
+                return;
+            }
+
+            applyLineRanges(data.lineRanges);
+            if (data.ranges.length > 0) {
+                const item = treeItemsByPath.get(previewPath);
+                const checkbox = item && item.querySelector(':scope > label > input[type="checkbox"]');
+                if (checkbox) checkbox.checked = true;
+            }
+            updateFileCount();
+        }
+
+        function removeLineRange(index) {
+            const ranges = [...(lineRanges[previewPath] || [])];
+            ranges.splice(index, 1);
+            saveLineRanges(ranges);
+        }
+
+        async function refreshLineRanges() {
+            const data = await api('/api/line-ranges');
+            applyLineRanges(data.lineRanges);
+        }
+
+        // Takes the server's line ranges and updates the tree tags and the preview
+        function applyLineRanges(ranges) {
+            const changed = new Set([...Object.keys(lineRanges), ...Object.keys(ranges)]);
+            lineRanges = ranges;
+            changed.forEach(filePath => {
+                const item = treeItemsByPath.get(filePath);
+                if (item) updateRangeTag(item);
+            });
+            if (previewPath) setPreviewRanges(lineRanges[previewPath] || []);
+        }
+
+        // Highlights the selected lines in the preview and lists the ranges above it
+        function setPreviewRanges(ranges) {
+            document.querySelectorAll('#fileContentCode .code-line').forEach(row => {
+                const line = Number(row.dataset.line);
+                row.classList.toggle('in-range', ranges.some(range => line >= range.start && line <= range.end));
+            });
+
+            const container = document.getElementById('previewRanges');
+            container.innerHTML = '';
+            container.style.display = 'flex';
+            if (ranges.length === 0) {
+                container.textContent = 'Drag over the line numbers to export only those lines.';
+                return;
+            }
+            container.append('Exporting lines:');
+            ranges.forEach((range, index) => {
+                const chip = document.createElement('span');
+                chip.className = 'range-chip';
+                chip.textContent = range.start === range.end ? range.start : \`\${range.start}-\${range.end}\`;
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Remove this range';
+                remove.onclick = () => removeLineRange(index);
+                chip.append(' ', remove);
+                container.appendChild(chip);
+            });
+            const wholeFile = document.createElement('button');
+            wholeFile.textContent = 'Whole file';
+            wholeFile.onclick = () => saveLineRanges([]);
+            container.appendChild(wholeFile);
+        }
+
+        // Marks files in the tree that are exported by line ranges
+        function updateRangeTag(item) {
+            const label = item.querySelector(':scope > label');
+            const existing = label.querySelector('.range-tag');
+            if (existing) existing.remove();
+
+            const ranges = lineRanges[item.dataset.path];
+            if (!ranges) return;
+            const tag = document.createElement('span');
+            tag.className = 'range-tag';
+            tag.textContent = ranges.length === 1 ? 'lines ' + ranges[0].start + '-' + ranges[0].end : ranges.length + ' ranges';
+            tag.title = 'Only these lines are exported: ' + ranges.map(range => range.start + '-' + range.end).join(', ');
+            label.appendChild(tag);
+        }
+
+        // --- Existing Functions (slightly modified or untouched) ---
+        async function updateSelection(path, selected) {
+            await api('/api/select', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path, selected })
+            });
+            updateChildCheckboxes(path, selected); // Keep immediate visual feedback
+            updateFileCount();
+            if (!selected) {
+                refreshLineRanges(); // Deselected files lose their line ranges
+            }
+        }
+
+        function updateChildCheckboxes(parentPath, selected) {
+            const checkboxes = document.querySelectorAll('#treeContainer input[type="checkbox"]');
+            checkboxes.forEach(checkbox => {
+                if (checkbox.value === parentPath) {
+                    checkbox.checked = selected;
+                } else if (parentPath === '') {
+                    // If the root was selected/deselected, affect all other checkboxes
+                    checkbox.checked = selected;
+                } else if (checkbox.value.startsWith(parentPath + '/')) {
+                    checkbox.checked = selected;
+                }
+            });
+        }
+
+        async function updateFileCount() {
+            const model = document.getElementById('tokenModel').value;
+            const data = await api('/api/count?model=' + encodeURIComponent(model));
+            selectedTokens = data.tokens.total;
+            lastFileTokens = data.tokens.files;
+            // Escaped backticks
+            document.getElementById('fileCount').textContent = 
+                \`Selected: \${data.fileCount} files · ~\${selectedTokens.toLocaleString()} tokens\`;
+            updateTreeTokens(data.tokens.files);
+            updateBudgetMeter();
+        }
+
+        // Shows per-file token counts next to selected files, and their sums next to folders
+        function updateTreeTokens(fileTokens) {
+            const totals = {};
+            Object.entries(fileTokens).forEach(([filePath, count]) => {
+                totals[filePath] = count;
+                let parentPath = filePath;
+                while (parentPath !== '') {
+                    parentPath = parentPath.includes('/') ? parentPath.substring(0, parentPath.lastIndexOf('/')) : '';
+                    totals[parentPath] = (totals[parentPath] || 0) + count;
+                }
+            });
+
+            allTreeItems.forEach(item => {
+                const tokens = item.querySelector(':scope > label > .tokens');
+                const count = totals[item.dataset.path];
+                tokens.textContent = count !== undefined ? '~' + count.toLocaleString() + ' tokens' : '';
+            });
+        }
+
+        function getTokenBudget() {
+            const budget = parseInt(document.getElementById('tokenBudget').value, 10);
+            return budget > 0 ? budget : null;
+        }
+
+        function updateBudgetMeter() {
+            const budget = getTokenBudget();
+            const meter = document.getElementById('budgetMeter');
+            const fill = document.getElementById('budgetMeterFill');
+            const overBudget = budget !== null && selectedTokens > budget;
+
+            meter.style.display = budget !== null ? 'block' : 'none';
+            document.getElementById('fileCount').classList.toggle('over-budget', overBudget);
+            if (budget !== null) {
+                fill.style.width = Math.min(100, (selectedTokens / budget) * 100) + '%';
+                fill.classList.toggle('over', overBudget);
+                meter.title = \`~\${selectedTokens.toLocaleString()} of \${budget.toLocaleString()} tokens\`;
+            }
+        }
+
+        async function exportFiles() {
+            const customName = document.getElementById('exportName').value;
+
+            const budget = getTokenBudget();
+            if (budget !== null && selectedTokens > budget) {
+                const message = \`The selection is ~\${selectedTokens.toLocaleString()} tokens, over the budget of \${budget.toLocaleString()}.\`;
+                if (document.getElementById('budgetMode').value === 'block') {
+                    showStatus(message + ' Deselect some files or raise the budget to export.', 'error');
+                    return;
+                }
+                if (!confirm(message + ' Export anyway?')) {
+                    return;
+                }
+            }
+            
+            try {
+                // The scan gets the options that change the exported text
+                const contentOptions = {
+                    diffMode: document.getElementById('diffMode').value,
+                    diffBase: getGitRef(),
+                    transforms: [...document.querySelectorAll('.content-transform:checked')].map(checkbox => checkbox.value)
+                };
+                const review = await reviewSecrets(contentOptions);
+                if (!review) {
+                    showStatus('Export cancelled', 'error');
+                    return;
+                }
+
+                const job = await api('/api/export', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        customName,
+                        format: document.getElementById('exportFormat').value,
+                        includeBinary: document.getElementById('includeBinary').checked,
+                        ...getPartLimit(),
+                        tokenModel: document.getElementById('tokenModel').value,
+                        ...contentOptions,
+                        redactSecrets: review.redactSecrets,
+                        includeSensitiveFiles: review.includeSensitiveFiles
+                    })
+                });
+
+                document.getElementById('exportResult').style.display = 'none';
+                if (job.error) {
+                    // Escaped backticks
+                    showStatus(\`Error exporting files: \${job.error}\`, 'error');
+                    return;
+                }
+
+                if (await followExport(job.jobId)) {
+                    document.getElementById('exportName').value = '';
+                }
+            } catch (err) {
+                // Escaped backticks
+                showStatus(\`Error exporting files: \${err.message}\`, 'error');
+            }
         }
-        .tree-item input[type="checkbox"] {
-            margin-right: 8px;
-            width: 16px;
-            height: 16px;
-            cursor: pointer;
+
+        let secretsReview = null; // Resolves the open secrets review with the chosen action
+
+        // Scans the selection for credentials and, when some turn up, asks how to export them.
+        // Resolves to { redactSecrets, includeSensitiveFiles }, or null when the export was called off.
+        async function reviewSecrets(contentOptions) {
+            const data = await api('/api/secrets/scan', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(contentOptions)
+            });
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            if (data.files.length === 0) {
+                return { redactSecrets: true, includeSensitiveFiles: false };
+            }
+
+            const list = document.getElementById('secretsList');
+            list.innerHTML = '';
+            data.files.forEach(file => {
+                const section = document.createElement('div');
+                section.className = 'secrets-file';
+
+                const header = document.createElement('div');
+                header.className = 'secrets-file-header';
+                const name = document.createElement('span');
+                name.textContent = file.path + (file.sensitiveFile ? ' (usually holds credentials)' : '');
+                const leaveOut = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = file.path;
+                checkbox.checked = file.sensitiveFile; // The export leaves these out by default
+                leaveOut.append(checkbox, ' Leave out');
+                header.append(name, leaveOut);
+                section.appendChild(header);
+
+                const findings = document.createElement('ul');
+                file.findings.forEach(finding => {
+                    const item = document.createElement('li');
+                    item.textContent = \`\${finding.diff ? 'diff line' : 'line'} \${finding.line} · \${finding.type} · \${finding.preview}\`;
+                    item.title = finding.preview;
+                    findings.appendChild(item);
+                });
+                section.appendChild(findings);
+                list.appendChild(section);
+            });
+
+            const dialog = document.getElementById('secretsDialog');
+            dialog.showModal();
+            const action = await new Promise(resolve => {
+                secretsReview = resolve;
+            });
+            dialog.close();
+            if (!action) return null;
+
+            const leftOut = [...list.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+            for (const filePath of leftOut) {
+                await updateSelection(filePath, false);
+            }
+            // Sensitive files that are still selected were kept on purpose
+            const includeSensitiveFiles = data.files.some(file => file.sensitiveFile && !leftOut.includes(file.path));
+            return { redactSecrets: action === 'redact', includeSensitiveFiles };
         }
-        .size {
-            color: #666;
-            font-size: 12px;
-            margin-left: 10px;
+
+        function closeSecretsReview(action) {
+            if (secretsReview) {
+                secretsReview(action);
+                secretsReview = null;
+            }
         }
-        .export-section {
-            display: flex;
-            gap: 10px;
-            align-items: center;
-            margin-top: 20px;
+
+        // Follows an export job (a new export or a re-run) and reports its outcome.
+        // Resolves to true when the export has been written.
+        async function followExport(jobId) {
+            const { status, data } = await followJob(jobId, describeExportProgress);
+            if (status === 'cancelled') {
+                showStatus('Export cancelled', 'error');
+                return false;
+            }
+            if (status !== 'done') {
+                showStatus(\`Error exporting files: \${data.error}\`, 'error');
+                return false;
+            }
+
+            const redactedCount = data.redactions.reduce((sum, redaction) => sum + redaction.count, 0);
+            const redacted = (redactedCount > 0 ? \` · \${redactedCount} secrets redacted\` : '') +
+                (data.skippedSensitive.length > 0 ? \` · left out \${data.skippedSensitive.join(', ')}\` : '');
+            const saved = data.savings ? ' · ' + describeSavings(data.savings) : '';
+            if (data.parts.length > 1) {
+                const partPaths = data.parts.map(part => part.path).join(', ');
+                showStatus(\`✅ Exported \${data.fileCount} files in \${data.parts.length} parts: \${partPaths}\${redacted}\${saved}\`, 'success');
+            } else {
+                // Escaped backticks
+                showStatus(\`✅ Exported \${data.fileCount} files to: \${data.path}\${redacted}\${saved}\`, 'success');
+            }
+            showExportResult(data);
+            if (document.getElementById('exportsPanel').open) {
+                refreshExports();
+            }
+            return true;
         }
-        .export-section input {
-            flex: 1;
-            padding: 10px;
-            border: 1px solid #ddd;
-            border-radius: 4px;
+
+        // What the content transforms saved, e.g. "transforms saved 23% (~4,120 tokens)"
+        function describeSavings(savings) {
+            const percent = savings.bytesBefore > 0 ? Math.round((1 - savings.bytesAfter / savings.bytesBefore) * 100) : 0;
+            const tokens = savings.tokensBefore - savings.tokensAfter;
+            return \`transforms saved \${percent}% (~\${tokens.toLocaleString()} tokens)\`;
         }
-        .status {
-            margin-top: 20px;
-            padding: 15px;
-            border-radius: 4px;
-            display: none;
+
+        // Re-runs first load the project again, so their progress starts with the scan
+        function describeExportProgress(progress) {
+            if (progress.filesSeen !== undefined) {
+                return \`Loading project… \${progress.filesSeen.toLocaleString()} files in \${progress.directoriesSeen.toLocaleString()} folders\`;
+            }
+            const percent = progress.byteTotal > 0 ? Math.floor((progress.bytesDone / progress.byteTotal) * 100) : 100;
+            return \`Exporting… \${progress.filesDone} of \${progress.fileTotal} files (\${percent}%)\` +
+                (progress.currentFile ? ' · ' + progress.currentFile : '');
         }
-        .status.success {
-            background: #d4edda;
-            color: #155724;
-            border: 1px solid #c3e6cb;
+
+        // Lists the written files with download and copy buttons, so the export can be
+        // fetched even when the server runs on another machine or in a container
+        function showExportResult(data) {
+            const container = document.getElementById('exportResult');
+            container.innerHTML = '';
+            data.parts.filter(part => part.downloadUrl).forEach(part => {
+                const row = document.createElement('div');
+                row.className = 'export-result-row';
+
+                const name = document.createElement('span');
+                name.textContent = part.path.split(/[\\\\/]/).pop();
+
+                const download = document.createElement('a');
+                download.href = part.downloadUrl;
+                download.textContent = '⬇ Download';
+
+                const copy = document.createElement('button');
+                copy.textContent = '📋 Copy';
+                copy.onclick = () => copyExport(part.downloadUrl);
+
+                row.append(name, download, copy);
+                container.appendChild(row);
+            });
+            container.style.display = container.children.length > 0 ? 'block' : 'none';
         }
-        .status.error {
-            background: #f8d7da;
-            color: #721c24;
-            border: 1px solid #f5c6cb;
+
+        // Copies the text of an export to the clipboard. navigator.clipboard only exists on
+        // https pages and localhost, so other addresses fall back to a hidden textarea.
+        async function copyExport(downloadUrl) {
+            try {
+                const response = await sessionFetch(downloadUrl);
+                if (!response.ok) {
+                    throw new Error((await response.json()).error.message);
+                }
+                const text = await response.text();
+
+                if (navigator.clipboard && window.isSecureContext) {
+                    await navigator.clipboard.writeText(text);
+                } else {
+                    const textarea = document.createElement('textarea');
+                    textarea.value = text;
+                    textarea.style.position = 'fixed';
+                    textarea.style.opacity = '0';
+                    document.body.appendChild(textarea);
+                    textarea.select();
+                    const copied = document.execCommand('copy');
+                    textarea.remove();
+                    if (!copied) throw new Error('The browser did not allow access to the clipboard');
+                }
+                showStatus('Export copied to the clipboard', 'success');
+            } catch (err) {
+                showStatus(\`Error copying export: \${err.message}\`, 'error');
+            }
         }
-        .file-icon {
-            margin-right: 5px;
+
+        // --- Exports panel ---
+        async function refreshExports() {
+            const data = await api('/api/exports');
+            const list = document.getElementById('exportsList');
+            list.innerHTML = '';
+            if (data.error) {
+                showStatus(\`Error listing exports: \${data.error}\`, 'error');
+                return;
+            }
+            document.getElementById('exportsEmpty').style.display = data.exports.length === 0 ? 'block' : 'none';
+
+            data.exports.forEach(entry => {
+                const row = document.createElement('tr');
+                const cells = [
+                    new Date(entry.createdAt).toLocaleString(),
+                    entry.projectName || '—',
+                    entry.fileCount !== null ? String(entry.fileCount) : '—',
+                    entry.formattedSize + (entry.parts.length > 1 ? ' (' + entry.parts.length + ' parts)' : ''),
+                    entry.format || '—'
+                ];
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                row.cells[0].title = entry.name;
+
+                const actions = document.createElement('td');
+                actions.className = 'exports-actions';
+                const addButton = (label, onclick) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.onclick = onclick;
+                    actions.appendChild(button);
+                };
+                addButton('Preview', () => previewExport(entry.parts[0].name));
+                entry.parts.forEach((part, index) => {
+                    const download = document.createElement('a');
+                    download.href = part.downloadUrl;
+                    download.textContent = entry.parts.length > 1 ? '⬇ ' + (index + 1) : '⬇';
+                    download.title = 'Download ' + part.name;
+                    actions.appendChild(download);
+                });
+                if (entry.canRerun) {
+                    addButton('Re-run', () => rerunExport(entry.name));
+                }
+                addButton('Delete', () => deleteExport(entry.name));
+                row.appendChild(actions);
+                list.appendChild(row);
+            });
         }
-        /* Modified: .folder-icon now only applies to non-root folders */
-        .folder-icon { 
-            margin-right: 5px;
-            color: #ffc107; /* Yellow for non-root folders */
+
+        async function previewExport(name) {
+            const data = await api('/api/exports/' + encodeURIComponent(name) + '/preview');
+            const fileContentCode = document.getElementById('fileContentCode');
+            document.getElementById('fileContentPreview').style.display = 'block';
+            if (data.error) {
+                document.getElementById('previewFileName').textContent = name;
+                fileContentCode.textContent = \`Error loading export: \${data.error}\`;
+                fileContentCode.style.color = 'red';
+                return;
+            }
+            document.getElementById('previewFileName').textContent = name + (data.truncated ? ' (beginning only)' : '');
+            fileContentCode.textContent = data.content + (data.truncated ? '\\n…' : '');
+            fileContentCode.style.color = '#333';
         }
-        /* New: style for the root folder icon */
-        .root-folder-icon {
-            margin-right: 5px;
-            color: #333; /* Dark gray/black for the root folder */
+
+        async function rerunExport(name) {
+            const job = await api('/api/exports/' + encodeURIComponent(name) + '/rerun', { method: 'POST' });
+            if (job.error) {
+                showStatus(\`Error re-running export: \${job.error}\`, 'error');
+                return;
+            }
+            await followExport(job.jobId);
         }
-        .file-count {
-            color: #666;
-            margin-top: 10px;
+
+        async function deleteExport(name) {
+            if (!confirm('Delete export "' + name + '"?')) return;
+            const data = await api('/api/exports/' + encodeURIComponent(name), { method: 'DELETE' });
+            if (data.error) {
+                showStatus(\`Error deleting export: \${data.error}\`, 'error');
+                return;
+            }
+            showStatus(\`Deleted \${data.removed.join(', ')}\`, 'success');
+            refreshExports();
         }
 
-        /* New styles for tree controls, exclusions, and file preview */
-        .tree-controls {
-            margin-bottom: 15px;
-            display: flex; /* Initially hidden, but set display property here */
-            gap: 10px;
+        async function cleanupExports() {
+            const days = document.getElementById('exportsCleanupAge').value;
+            const description = days === '0' ? 'all exports' : 'exports older than ' + days + ' days';
+            if (!confirm('Delete ' + description + '?')) return;
+
+            const data = await api('/api/exports?olderThanDays=' + days, { method: 'DELETE' });
+            if (data.error) {
+                showStatus(\`Error deleting exports: \${data.error}\`, 'error');
+                return;
+            }
+            showStatus(\`Deleted \${data.removed.length} export(s)\`, 'success');
+            refreshExports();
         }
-        .tree-controls button {
-            padding: 8px 15px;
-            font-size: 14px;
+
+        // Reads the "split into parts" controls as either a byte or a token limit
+        function getPartLimit() {
+            const size = parseFloat(document.getElementById('maxPartSize').value);
+            if (!(size > 0)) return {};
+            const unit = document.getElementById('maxPartUnit').value;
+            if (unit === 'tokens') return { maxPartTokens: Math.floor(size) };
+            return { maxPartBytes: Math.floor(size * (unit === 'MB' ? 1024 * 1024 : 1024)) };
         }
-        .tree-controls input[type="text"] {
-            flex: 1;
-            padding: 8px;
-            font-size: 14px;
+
+        // --- Recent Projects & Directory Browser ---
+        let browseState = null; // Last /api/browse response shown in the dialog
+
+        async function refreshRecentProjects() {
+            const data = await api('/api/recent');
+            const select = document.getElementById('recentProjects');
+            select.innerHTML = '';
+            select.appendChild(new Option(data.projects.length > 0 ? 'Recent projects…' : '(no recent projects)', ''));
+            data.projects.forEach(project => select.appendChild(new Option(project.path, project.path)));
         }
 
-        .exclusion-controls {
-            margin-top: 15px;
-            margin-bottom: 20px;
-            padding: 15px;
-            background: #e6e6e6;
-            border-radius: 4px;
-            display: none; /* Initially hidden */
+        function openRecentProject() {
+            const select = document.getElementById('recentProjects');
+            if (!select.value) return;
+            document.getElementById('projectPath').value = select.value;
+            select.value = '';
+            loadProject();
         }
-        .exclusion-controls h3 {
-            margin-top: 0;
-            margin-bottom: 10px;
-            color: #555;
-            font-size: 16px;
+
+        function openBrowseDialog() {
+            document.getElementById('browseDialog').style.display = 'flex';
+            // Start from the typed path when there is one, otherwise from the home directory
+            browseTo(document.getElementById('projectPath').value.trim(), true);
         }
-        .exclusion-controls label {
-            margin-right: 15px;
-            font-size: 14px;
-            display: inline-block;
-            cursor: pointer;
+
+        function closeBrowseDialog() {
+            document.getElementById('browseDialog').style.display = 'none';
         }
-        .exclusion-controls input[type="checkbox"] {
-            margin-right: 5px;
+
+        async function browseTo(dirPath, fallbackToHome = false) {
+            const data = await api('/api/browse' + (dirPath ? '?path=' + encodeURIComponent(dirPath) : ''));
+            if (data.error) {
+                // A typed path that does not exist falls back to the home directory
+                if (dirPath && fallbackToHome) return browseTo('');
+                showStatus(\`Error browsing folder: \${data.error}\`, 'error');
+                return;
+            }
+            browseState = data;
+
+            const roots = document.getElementById('browseRoots');
+            roots.innerHTML = '';
+            data.roots.forEach(root => {
+                const button = document.createElement('button');
+                button.textContent = root.name;
+                button.title = root.path;
+                button.onclick = () => browseTo(root.path);
+                roots.appendChild(button);
+            });
+            document.getElementById('browseCurrentPath').textContent = data.path;
+            document.getElementById('browseUp').disabled = !data.parent;
+            renderBrowseList();
         }
 
-        .tree-item .toggle-icon {
-            margin-right: 5px;
-            font-size: 14px;
-            color: #555;
-            cursor: pointer;
-            display: inline-block; /* Ensure it respects margin-right */
-            width: 1em; /* Fixed width to prevent text reflow on toggle */
-            text-align: center;
+        function renderBrowseList() {
+            const list = document.getElementById('browseList');
+            const showHidden = document.getElementById('browseShowHidden').checked;
+            list.innerHTML = '';
+            if (!browseState) return;
+            browseState.directories
+                .filter(directory => showHidden || !directory.hidden)
+                .forEach(directory => {
+                    const item = document.createElement('li');
+                    item.textContent = '📁 ' + directory.name;
+                    item.onclick = () => browseTo(directory.path);
+                    list.appendChild(item);
+                });
+            if (!list.firstChild) {
+                const empty = document.createElement('li');
+                empty.textContent = '(no subfolders)';
+                empty.style.color = '#888';
+                list.appendChild(empty);
+            }
         }
 
-        .file-content-preview {
-            margin-top: 20px;
-            padding: 20px;
-            background: #fff;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            max-height: 400px;
-            overflow-y: auto;
-            display: none; /* Initially hidden */
+        function chooseBrowsedFolder() {
+            document.getElementById('projectPath').value = browseState.path;
+            closeBrowseDialog();
+            loadProject();
         }
-        .file-content-preview h3 {
-            margin-top: 0;
-            color: #333;
-            font-size: 18px;
-            margin-bottom: 10px;
+
+        // --- Export Profiles ---
+        async function refreshProfiles(selectedName = null) {
+            const data = await api('/api/profiles');
+            const select = document.getElementById('profileSelect');
+            const current = selectedName !== null ? selectedName : select.value;
+
+            select.innerHTML = '';
+            if (data.profiles.length === 0) {
+                select.appendChild(new Option('(no saved profiles)', ''));
+            }
+            data.profiles.forEach(profile => {
+                select.appendChild(new Option(profile.name + ' — ' + profile.projectPath, profile.name));
+            });
+            if (data.profiles.some(profile => profile.name === current)) {
+                select.value = current;
+            }
         }
-        .file-content-preview pre {
-            background: #eee;
-            padding: 15px;
-            border-radius: 4px;
-            overflow-x: auto;
-            white-space: pre-wrap; /* Ensure long lines wrap */
-            word-wrap: break-word; /* Break long words */
+
+        function profileUrl(name, action = '') {
+            return '/api/profiles/' + encodeURIComponent(name) + (action ? '/' + action : '');
         }
-        .file-content-preview code {
-            font-family: 'Consolas', 'Monaco', monospace;
-            font-size: 14px;
-            color: #333;
+
+        async function loadProfile() {
+            const name = document.getElementById('profileSelect').value;
+            if (!name) {
+                showStatus('Select a profile to load', 'error');
+                return;
+            }
+
+            const data = await api(profileUrl(name));
+            if (data.error) {
+                showStatus(\`Error loading profile: \${data.error}\`, 'error');
+                return;
+            }
+
+            const profile = data.profile;
+            document.getElementById('projectPath').value = profile.projectPath;
+            document.getElementById('includePatterns').value = (profile.include || []).join('\\n');
+            document.getElementById('excludePatterns').value = (profile.exclude || []).join('\\n');
+            document.getElementById('useGitignore').checked = profile.useGitignore !== false;
+            document.getElementById('symlinkPolicy').value = profile.symlinks || 'within-root';
+            document.getElementById('exportFormat').value = profile.format || 'txt';
+            document.getElementById('exportName').value = profile.filenameTemplate || '';
+
+            if (!(await loadProject())) return;
+
+            const selection = await api('/api/selection', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ paths: profile.selectedPaths || [], lineRanges: profile.lineRanges || {} })
+            });
+            if (selection.error) {
+                showStatus(\`Error restoring selection: \${selection.error}\`, 'error');
+                return;
+            }
+            syncCheckboxes(selection.paths);
+            updateFileCount();
+            showStatus(\`Profile "\${profile.name}" loaded\`, 'success');
         }
-        /* Style for the footer */
-        .footer {
-            text-align: center;
-            margin-top: 40px;
-            font-size: 12px;
-            color: #888;
+
+        async function saveProfile() {
+            if (!projectData) {
+                showStatus('Load a project before saving a profile', 'error');
+                return;
+            }
+            const name = prompt('Profile name:', document.getElementById('profileSelect').value);
+            if (!name) return;
+
+            const data = await api(profileUrl(name.trim()), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    include: readPatterns('includePatterns'),
+                    exclude: readPatterns('excludePatterns'),
+                    useGitignore: document.getElementById('useGitignore').checked,
+                    symlinks: document.getElementById('symlinkPolicy').value,
+                    format: document.getElementById('exportFormat').value,
+                    filenameTemplate: document.getElementById('exportName').value
+                })
+            });
+            if (data.error) {
+                showStatus(\`Error saving profile: \${data.error}\`, 'error');
+                return;
+            }
+            await refreshProfiles(data.profile.name);
+            showStatus(\`Profile "\${data.profile.name}" saved\`, 'success');
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>📁 Project Code Exporter</h1>
-        
-        <div class="input-group">
-            <input type="text" id="projectPath" placeholder="Enter project path (e.g., C:\\Users\\YourName\\Projects\\my-project)">
-            <button onclick="loadProject()">Load Project</button>
-        </div>
 
-        <div class="tree-controls" style="display: none;">
-            <button onclick="expandAll()">Expand All</button>
-            <button onclick="collapseAll()">Collapse All</button>
-            <input type="text" id="treeSearch" placeholder="Search files and folders..." oninput="filterTree()">
-        </div>
+        async function renameProfile() {
+            const name = document.getElementById('profileSelect').value;
+            if (!name) {
+                showStatus('Select a profile to rename', 'error');
+                return;
+            }
+            const newName = prompt('New name for profile "' + name + '":', name);
+            if (!newName || newName === name) return;
 
-        <div id="treeContainer" class="tree-container" style="display: none;"></div>
-        
-        <div class="exclusion-controls">
-            <h3>Exclude common project artifacts:</h3>
-            <label><input type="checkbox" id="excludeNodeModules" checked> node_modules</label>
-            <label><input type="checkbox" id="excludeGit" checked> .git</label>
-            <label><input type="checkbox" id="excludeVSCode" checked> .vscode</label>
-            <label><input type="checkbox" id="excludePackageLock" checked> package-lock.json</label>
-            <label><input type="checkbox" id="excludeYarnLock" checked> yarn.lock</label>
-            <label><input type="checkbox" id="excludeBuild" checked> build</label>
-            <label><input type="checkbox" id="excludeDist" checked> dist</label>
-            <label><input type="checkbox" id="excludeTemp" checked> temp</label>
-        </div>
+            const data = await api(profileUrl(name, 'rename'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ newName })
+            });
+            if (data.error) {
+                showStatus(\`Error renaming profile: \${data.error}\`, 'error');
+                return;
+            }
+            await refreshProfiles(data.profile.name);
+            showStatus(\`Profile renamed to "\${data.profile.name}"\`, 'success');
+        }
 
-        <div class="file-count" id="fileCount"></div>
-        
-        <div class="export-section" id="exportSection" style="display: none;">
-            <input type="text" id="exportName" placeholder="Custom filename (optional)">
-            <button onclick="exportFiles()">Export Selected Files</button>
-        </div>
+        async function deleteProfile() {
+            const name = document.getElementById('profileSelect').value;
+            if (!name || !confirm('Delete profile "' + name + '"?')) return;
 
-        <div id="fileContentPreview" class="file-content-preview">
-            <h3>File Content: <span id="previewFileName"></span></h3>
-            <pre><code id="fileContentCode"></code></pre>
-        </div>
-        
-        <div id="status" class="status"></div>
-    </div>
+            const data = await api(profileUrl(name), { method: 'DELETE' });
+            if (data.error) {
+                showStatus(\`Error deleting profile: \${data.error}\`, 'error');
+                return;
+            }
+            await refreshProfiles('');
+            showStatus(\`Profile "\${name}" deleted\`, 'success');
+        }
 
-    <div class="footer">
-        Made with ❤️ by YOAV M
-    </div>
+        // Checks exactly the given paths in the rendered tree
+        function syncCheckboxes(paths) {
+            const selected = new Set(paths);
+            document.querySelectorAll('#treeContainer input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = selected.has(checkbox.value);
+            });
+            refreshLineRanges(); // Files that are no longer selected have lost their line ranges
+        }
 
-    <script>
-        let projectData = null;
-        let allTreeItems = []; // Stores references to all rendered tree item DOM elements
+        function showStatus(message, type) {
+            const status = document.getElementById('status');
+            status.textContent = message;
+            status.className = 'status ' + type;
+            status.style.display = 'block';
+            // Removed setTimeout for success messages to keep them visible
+        }
 
-        async function loadProject() {
-            const projectPath = document.getElementById('projectPath').value;
-            if (!projectPath) {
-                showStatus('Please enter a project path', 'error');
-                return;
+        // --- Event Listeners ---
+        document.getElementById('projectPath').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                loadProject();
+            }
+        });
+
+        document.getElementById('exportName').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                exportFiles();
             }
+        });
 
-            // Collect selected exclusion names based on their mapped values
-            const activeExclusionNames = [];
-            const exclusionCheckboxes = document.querySelectorAll('.exclusion-controls input[type="checkbox"]');
-            const exclusionMap = {
-                'excludeNodeModules': 'node_modules',
-                'excludeGit': '.git',
-                'excludeVSCode': '.vscode',
-                'excludePackageLock': 'package-lock.json',
-                'excludeYarnLock': 'yarn.lock',
-                'excludeBuild': 'build',
-                'excludeDist': 'dist',
-                'excludeTemp': 'temp'
-            };
+        refreshProfiles();
+        refreshRecentProjects();
 
-            exclusionCheckboxes.forEach(checkbox => {
-                if (checkbox.checked) {
-                    const mappedName = exclusionMap[checkbox.id];
-                    if (mappedName) {
-                        activeExclusionNames.push(mappedName);
-                    }
+        // Add event listener for pattern lists and ignore-file toggle to reload project when changed
+        document.querySelectorAll('.exclusion-controls input[type="checkbox"], .exclusion-controls textarea').forEach(control => {
+            control.addEventListener('change', () => {
+                if (projectData) { // Only reload if a project is already loaded
+                    loadProject();
                 }
             });
+        });
+    </script>
+</body>
+</html>
+`; // This is the actual closing backtick for htmlContent
 
-            try {
-                const response = await fetch('/api/load', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ path: projectPath, exclusions: activeExclusionNames })
-                });
+// --- API routing ---
 
-                const data = await response.json();
-                if (data.error) {
-                    // Escaped backticks
-                    showStatus(\`Error loading project: \${data.error}\`, 'error');
-                    return;
-                }
+// Thrown by route handlers to answer with an HTTP error status. The client receives
+// { error: { code, message } } with that status.
+class HttpError extends Error {
+    constructor(status, code, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+    }
+}
 
-                projectData = data;
-                renderTree(data.tree);
-                document.getElementById('treeContainer').style.display = 'block';
-                document.querySelector('.tree-controls').style.display = 'flex';
-                document.querySelector('.exclusion-controls').style.display = 'block';
-                document.getElementById('exportSection').style.display = 'flex';
-                updateFileCount();
-                // Escaped backticks
-                showStatus(\`Project loaded successfully!\`, 'success');
-                
-                // Reset search and file preview
-                document.getElementById('treeSearch').value = '';
-                filterTree(); // Apply filter to show all initially
-                document.getElementById('fileContentPreview').style.display = 'none';
-                document.getElementById('fileContentCode').textContent = '';
-                document.getElementById('previewFileName').textContent = '';
+// An fs error about a path the client asked for: a missing path is a 404 and one the server
+// may not read a 403. Other errors, and fs errors elsewhere, stay server failures.
+function clientPathError(err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return new HttpError(404, 'not_found', 'Path does not exist');
+    if (err.code === 'EACCES' || err.code === 'EPERM') return new HttpError(403, 'forbidden', err.message);
+    return err;
+}
+
+// Request bodies are small JSON documents; larger ones are refused with 413
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Field types for the body schemas of API_ROUTES; a trailing '?' marks a field as optional
+const BODY_FIELD_TYPES = {
+    string: { test: value => typeof value === 'string', description: 'a string' },
+    number: { test: value => typeof value === 'number' && Number.isFinite(value), description: 'a number' },
+    boolean: { test: value => typeof value === 'boolean', description: 'true or false' },
+    object: { test: value => typeof value === 'object' && !Array.isArray(value), description: 'an object' },
+    array: { test: value => Array.isArray(value), description: 'a list' },
+    'string[]': { test: value => Array.isArray(value) && value.every(item => typeof item === 'string'), description: 'a list of strings' }
+};
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// Maps whatever a handler threw to an HttpError. Only a ValidationError blames the request;
+// anything else unexpected (a failed git call, a scan error, a bug) is the server's fault.
+function toHttpError(err) {
+    if (err instanceof HttpError) return err;
+    if (err instanceof PathAccessError) return new HttpError(403, 'forbidden', err.message);
+    if (err instanceof ValidationError) return new HttpError(400, 'bad_request', err.message);
+    return new HttpError(500, 'internal_error', err.message);
+}
+
+function sendError(res, err) {
+    // The client went away, e.g. a search that a newer search has replaced
+    if (res.destroyed) return;
+    const httpError = toHttpError(err);
+    if (httpError.status >= 500) {
+        console.error('API error:', err);
+    }
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    res.writeHead(httpError.status, { 'Content-Type': 'application/json', ...httpError.headers });
+    res.end(JSON.stringify({ error: { code: httpError.code, message: httpError.message } }));
+}
+
+// Reads and parses a JSON request body; an empty body reads as {}
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => new HttpError(413, 'payload_too_large',
+            `Request body is larger than ${MAX_BODY_BYTES} bytes`, { 'Connection': 'close' });
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            req.resume();
+            reject(tooLarge());
+            return;
+        }
 
+        const chunks = [];
+        let size = 0;
+        let refused = false;
+        req.on('data', chunk => {
+            // The rest of a refused body is read and dropped
+            if (refused) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                refused = true;
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (refused) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (text.trim() === '') {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
             } catch (err) {
-                // Escaped backticks
-                showStatus(\`Error loading project: \${err.message}\`, 'error');
+                reject(new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${err.message}`));
             }
-        }
+        });
+        req.on('error', reject);
+    });
+}
 
-        function renderTree(node, container = null, level = 0) {
-            if (!container) {
-                container = document.getElementById('treeContainer');
-                container.innerHTML = ''; // Clear previous tree
-                allTreeItems = []; // Reset list of all tree items
+// Checks a body against a schema of { field: type } (see BODY_FIELD_TYPES) and returns it
+// without the optional fields that are null, so handlers can rely on defaults for them.
+// Fields the schema does not mention are left alone.
+function validateBody(body, schema) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'invalid_body', 'Request body must be a JSON object');
+    }
+    const checked = { ...body };
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = BODY_FIELD_TYPES[optional ? spec.slice(0, -1) : spec];
+        if (checked[field] === undefined || checked[field] === null) {
+            if (!optional) {
+                throw new HttpError(400, 'invalid_body', `"${field}" is required`);
             }
+            delete checked[field];
+        } else if (!type.test(checked[field])) {
+            throw new HttpError(400, 'invalid_body', `"${field}" must be ${type.description}`);
+        }
+    }
+    return checked;
+}
 
-            const item = document.createElement('div');
-            item.className = 'tree-item ' + node.type; // Add 'directory' or 'file' class
-            item.style.paddingLeft = (level * 20) + 'px';
-            item.dataset.path = node.path; // Store relative path on the DOM element
+// An entry of API_ROUTES. `pattern` is a path whose :name segments become params;
+// options.body is the schema of the JSON body, which is only read when there is one.
+function apiRoute(method, pattern, options, handler) {
+    if (typeof options === 'function') {
+        handler = options;
+        options = {};
+    }
+    const names = [];
+    const source = pattern.split('/').map(segment => {
+        if (!segment.startsWith(':')) return escapeRegExp(segment);
+        names.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    return { method, pattern: new RegExp(`^${source}$`), names, schema: options.body || null, handler };
+}
 
-            const label = document.createElement('label');
-            
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.value = node.path;
-            checkbox.onchange = (e) => {
-                updateSelection(node.path, e.target.checked);
-            };
+// Runs the handler of the route that matches the request. Handlers get { req, res, query,
+// params, body, session, exporter } and return the JSON to answer with, or undefined when
+// they have answered themselves (event streams and downloads).
+async function handleApiRequest(req, res, context) {
+    const candidates = API_ROUTES.filter(route => route.pattern.test(context.pathname));
+    if (candidates.length === 0) {
+        throw new HttpError(404, 'not_found', `Unknown endpoint: ${context.pathname}`);
+    }
+    const route = candidates.find(candidate => candidate.method === req.method);
+    if (!route) {
+        const allowed = [...new Set(candidates.map(candidate => candidate.method))].join(', ');
+        throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported here (use ${allowed})`, { 'Allow': allowed });
+    }
 
-            // Toggle icon for directories
-            let toggleIcon = null;
-            if (node.type === 'directory') {
-                toggleIcon = document.createElement('span');
-                toggleIcon.className = 'toggle-icon';
-                toggleIcon.textContent = '▼'; // Default to expanded (down arrow)
-                toggleIcon.onclick = (e) => {
-                    e.stopPropagation(); // Prevent label click from also triggering this
-                    toggleNode(item);
-                };
-                label.appendChild(toggleIcon);
-            }
+    const params = {};
+    const values = route.pattern.exec(context.pathname).slice(1);
+    route.names.forEach((name, index) => {
+        try {
+            params[name] = decodeURIComponent(values[index]);
+        } catch (err) {
+            throw new HttpError(404, 'not_found', `Unknown endpoint: ${context.pathname}`);
+        }
+    });
+    const body = route.schema ? validateBody(await readJsonBody(req), route.schema) : {};
 
-            // Modified: Assign different icon class based on whether it's the root folder
-            const icon = document.createElement('span');
-            let iconClass = '';
-            let iconText = '';
+    const result = await route.handler({ ...context, req, res, params, body });
+    if (result !== undefined) {
+        sendJson(res, 200, result);
+    }
+}
 
-            if (node.type === 'directory') {
-                iconText = '📁';
-                if (node.path === '') { // This is the root folder
-                    iconClass = 'root-folder-icon'; // New class for the root
-                } else { // This is any other folder
-                    iconClass = 'folder-icon'; // Existing class for non-root folders
-                }
-            } else { // It's a file
-                iconText = '📄';
-                iconClass = 'file-icon'; // Existing class for files
-            }
-            icon.className = iconClass;
-            icon.textContent = iconText;
+function requireProject(exporter) {
+    if (!exporter.projectTree) {
+        throw new HttpError(409, 'no_project', 'No project loaded');
+    }
+}
 
-            const name = document.createElement('span');
-            // This line uses a regex literal, not a template literal, so backslashes are fine.
-            name.textContent = node.path === '' ? document.getElementById('projectPath').value.split(/[\\/]/).pop() : node.name; 
+function findJob(jobId, session) {
+    const job = jobs.get(jobId);
+    if (!job || job.sessionId !== session.id) {
+        throw new HttpError(404, 'not_found', 'Job not found');
+    }
+    return job;
+}
 
-            const size = document.createElement('span');
-            size.className = 'size';
-            size.textContent = '(' + node.formattedSize + ')';
+// Only plain file names in the exports directory are accepted (see exportFilePath)
+function findExportFile(name) {
+    const filePath = exportFilePath(name);
+    const stats = filePath && fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+    if (!stats || !stats.isFile()) {
+        throw new HttpError(404, 'not_found', 'Export not found');
+    }
+    return { filePath, stats };
+}
 
-            label.appendChild(checkbox);
-            label.appendChild(icon);
-            label.appendChild(name);
-            label.appendChild(size);
-            item.appendChild(label);
-            container.appendChild(item);
+// The stored profile for a name from the URL, which is trimmed like the names it was saved with
+function findProfile(name) {
+    const profile = profileStore.get(name);
+    if (!profile) {
+        throw new HttpError(404, 'not_found', `Profile "${name.trim()}" does not exist`);
+    }
+    return profile;
+}
 
-            // Add click listener for file content preview (only for files)
-            if (node.type === 'file') {
-                label.onclick = (e) => {
-                    // Only trigger preview if checkbox itself wasn't clicked
-                    if (e.target !== checkbox) {
-                        showFileContent(node.path, node.name);
-                    }
-                };
-            }
+const API_ROUTES = [
+    apiRoute('POST', '/api/load', {
+        body: { path: 'string', include: 'string[]?', exclude: 'string[]?', exclusions: 'string[]?', useGitignore: 'boolean?', symlinks: 'string?' }
+    }, ({ body, session, exporter }) => {
+        // Receive include/exclude patterns (and whether to honor ignore files) from client.
+        // "exclusions" is the older list of plain names and is treated as extra exclude patterns.
+        const { path: projectPath, include = [], exclude = [], exclusions = [], useGitignore, symlinks = DEFAULT_SYMLINK_POLICY } = body;
+        assertAllowedPath(projectPath);
+        if (!SYMLINK_POLICIES.includes(symlinks)) {
+            throw new HttpError(400, 'invalid_body', `"symlinks" must be one of: ${SYMLINK_POLICIES.join(', ')}`);
+        }
+        // Links followed anywhere could lead out of the allowed roots
+        if (symlinks === 'follow' && serverConfig.allowedRoots.length > 0) {
+            throw new HttpError(403, 'forbidden', 'Following symlinks outside the project is not allowed on this server');
+        }
 
-            // Create a container for children nodes
-            const childrenContainer = document.createElement('div');
-            childrenContainer.className = 'tree-children';
-            item.appendChild(childrenContainer);
+        // The scan runs as a job: the client follows /api/jobs/:id/events for progress
+        // and receives the top level of the tree when it is done
+        if (session.loadJob) session.loadJob.cancel();
+        session.loadJob = startJob('load', async (job) => {
+            await exporter.loadProject(projectPath, {
+                include,
+                exclude: [...exclude, ...exclusions],
+                useGitignore,
+                symlinks
+            }, {
+                signal: job.controller.signal,
+                onProgress: progress => job.progress(progress)
+            });
+            recentProjects.add(projectPath);
+            return { tree: exporter.toClientNode(exporter.projectTree, 1) };
+        }, session.id);
+        return { jobId: session.loadJob.id };
+    }),
 
-            if (node.children) {
-                node.children.forEach(child => renderTree(child, childrenContainer, level + 1));
-            }
+    // Progress of a job as Server-Sent Events, ending with its outcome
+    apiRoute('GET', '/api/jobs/:id/events', ({ req, res, params, session }) => {
+        const job = findJob(params.id, session);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const onProgress = progress => send('progress', progress);
+        const onEnd = () => {
+            send(job.status, job.outcome);
+            res.end();
+        };
 
-            allTreeItems.push(item); // Add to the global list for filtering
+        if (job.lastProgress) send('progress', job.lastProgress);
+        if (job.status !== 'running') {
+            onEnd();
+            return;
         }
+        job.on('progress', onProgress);
+        job.once('end', onEnd);
+        req.on('close', () => {
+            job.off('progress', onProgress);
+            job.off('end', onEnd);
+        });
+    }),
 
-        // --- Tree Expansion/Collapse Functions ---
-        function toggleNode(itemElement) {
-            const childrenContainer = itemElement.querySelector('.tree-children');
-            const toggleIcon = itemElement.querySelector('.toggle-icon');
+    apiRoute('POST', '/api/jobs/:id/cancel', ({ params, session }) => {
+        findJob(params.id, session).cancel();
+        return { success: true };
+    }),
 
-            if (childrenContainer && toggleIcon) {
-                if (childrenContainer.style.display === 'none') {
-                    childrenContainer.style.display = 'block';
-                    toggleIcon.textContent = '▼'; // Expanded
-                } else {
-                    childrenContainer.style.display = 'none';
-                    toggleIcon.textContent = '►'; // Collapsed
+    // Children of the directories the UI expands (?path=a&path=b), loaded on demand.
+    // depth=all returns the complete subtrees, e.g. for "Expand All".
+    apiRoute('GET', '/api/children', ({ query, exporter }) => {
+        const depthParam = query.get('depth');
+        const depth = depthParam === 'all' ? Infinity : Math.max(1, parseInt(depthParam, 10) || 1);
+        const directories = {};
+        if (exporter.projectTree) {
+            for (const dirPath of query.getAll('path')) {
+                const node = exporter.findNode(exporter.projectTree, dirPath);
+                if (node && node.children) {
+                    directories[dirPath] = node.children.map(child => exporter.toClientNode(child, depth - 1));
                 }
             }
         }
+        return { directories };
+    }),
 
-        function expandAll() {
-            allTreeItems.forEach(itemElement => {
-                if (itemElement.classList.contains('directory')) {
-                    const childrenContainer = itemElement.querySelector('.tree-children');
-                    const toggleIcon = itemElement.querySelector('.toggle-icon');
-                    if (childrenContainer) childrenContainer.style.display = 'block';
-                    if (toggleIcon) toggleIcon.textContent = '▼';
+    // Paths of files and folders whose name contains the search text, for the tree filter
+    apiRoute('GET', '/api/find', ({ query, exporter }) => {
+        const text = (query.get('q') || '').toLowerCase();
+        const paths = [];
+        let truncated = false;
+        if (text) {
+            for (const [nodePath, node] of exporter.nodeIndex) {
+                if (nodePath === '' || !node.name.toLowerCase().includes(text)) continue;
+                if (paths.length === FIND_RESULT_LIMIT) {
+                    truncated = true;
+                    break;
                 }
+                paths.push(nodePath);
+            }
+        }
+        return { paths, truncated };
+    }),
+
+    // Content search for the tree; it stops early if the client goes away, e.g. because
+    // typing has started a newer search
+    apiRoute('GET', '/api/search', ({ res, query, exporter }) => {
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        return exporter.searchContent(query.get('q') || '', {
+            regex: query.get('regex') === '1',
+            caseSensitive: query.get('caseSensitive') === '1'
+        }, { signal: controller.signal });
+    }),
+
+    // "Select with dependencies" on a tree item
+    apiRoute('POST', '/api/dependencies/select', {
+        body: { path: 'string', maxDepth: 'number?' }
+    }, async ({ body, exporter }) => {
+        requireProject(exporter);
+        const depthLimit = body.maxDepth > 0 ? Math.floor(body.maxDepth) : null;
+        const graph = await exporter.selectWithDependencies(body.path, { maxDepth: depthLimit });
+        return { paths: [...exporter.selectedPaths], graph };
+    }),
+
+    apiRoute('POST', '/api/select', {
+        body: { path: 'string', selected: 'boolean' }
+    }, ({ body, exporter }) => {
+        requireProject(exporter);
+        const node = exporter.findNode(exporter.projectTree, body.path);
+        if (!node) {
+            throw new HttpError(404, 'not_found', `Not in the project: ${body.path}`);
+        }
+
+        const allPaths = exporter.getAllPaths(node);
+        if (body.selected) {
+            allPaths.forEach(p => exporter.selectedPaths.add(p));
+        } else {
+            allPaths.forEach(p => exporter.selectedPaths.delete(p));
+            exporter.pruneLineRanges();
+        }
+        return { success: true };
+    }),
+
+    apiRoute('GET', '/api/count', async ({ query, exporter }) => {
+        // Token estimates for the selection, for the model family picked in the UI
+        const model = query.get('model') || DEFAULT_TOKENIZER_MODEL;
+        if (!isTokenizerModel(model)) {
+            throw new HttpError(400, 'bad_request', `Unknown model: ${model}`);
+        }
+
+        let fileCount = 0;
+        for (const selectedPath of exporter.selectedPaths) {
+            const node = exporter.findNode(exporter.projectTree, selectedPath);
+            if (node && node.type === 'file') {
+                fileCount++;
+            }
+        }
+        const tokens = exporter.projectTree ? await exporter.countSelectedTokens(model) : { model, total: 0, files: {} };
+        return { fileCount, tokens };
+    }),
+
+    // Credentials in the current selection, for the review before an export. The body holds the
+    // export options that change the exported text, so the scan sees that same text.
+    apiRoute('POST', '/api/secrets/scan', {
+        body: { transforms: 'string[]?', diffMode: 'string?', diffBase: 'string?' }
+    }, ({ body, exporter }) => exporter.scanSelectedFiles(body)),
+
+    apiRoute('POST', '/api/export', {
+        body: {
+            customName: 'string?',
+            format: 'string?',
+            includeBinary: 'boolean?',
+            maxPartBytes: 'number?',
+            maxPartTokens: 'number?',
+            tokenModel: 'string?',
+            diffMode: 'string?',
+            diffBase: 'string?',
+            redactSecrets: 'boolean?',
+            includeSensitiveFiles: 'boolean?',
+            transforms: 'string[]?'
+        }
+    }, ({ body, session, exporter }) => {
+        const { customName, format, includeBinary, maxPartBytes, maxPartTokens, tokenModel, diffMode, diffBase, redactSecrets, includeSensitiveFiles, transforms } = body;
+        if (format && !EXPORT_FORMATS[format]) {
+            throw new HttpError(400, 'invalid_body', `"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        if (diffMode && !DIFF_MODES.includes(diffMode)) {
+            throw new HttpError(400, 'invalid_body', `"diffMode" must be one of: ${DIFF_MODES.join(', ')}`);
+        }
+        if (tokenModel && !isTokenizerModel(tokenModel)) {
+            throw new HttpError(400, 'invalid_body', `"tokenModel" must be one of: ${Object.keys(TOKENIZER_MODELS).join(', ')}`);
+        }
+        const unknownTransform = (transforms || []).find(name => !CONTENT_TRANSFORMS[name]);
+        if (unknownTransform) {
+            throw new HttpError(400, 'invalid_body', `Unsupported content transform: ${unknownTransform}`);
+        }
+        if (exporter.selectedPaths.size === 0) {
+            throw new HttpError(409, 'nothing_selected', 'No files selected');
+        }
+        // Checked here as well, so that a name leading out of the exports directory is a 400
+        if (customName) {
+            exporter.exportOutputPath(customName, format || 'txt');
+        }
+
+        // Like a project scan, the export runs as a job that reports progress over
+        // /api/jobs/:id/events and ends with the export result
+        const job = startJob('export', job => runRecordedExport(job, exporter.snapshot(), customName, {
+            format,
+            includeBinary,
+            maxPartBytes,
+            maxPartTokens,
+            tokenModel,
+            diffMode,
+            diffBase,
+            redactSecrets,
+            includeSensitiveFiles,
+            transforms
+        }), session.id);
+        return { jobId: job.id };
+    }),
+
+    apiRoute('GET', '/api/exports', ({ exporter }) => {
+        const exports = exportHistory.list();
+        exports.forEach(entry => {
+            entry.formattedSize = exporter.formatFileSize(entry.size);
+            entry.parts.forEach(part => {
+                part.downloadUrl = exportDownloadUrl(part.name);
             });
+        });
+        return { exports };
+    }),
+
+    // Cleanup: ?olderThanDays=N deletes exports older than N days, 0 deletes all
+    apiRoute('DELETE', '/api/exports', ({ query }) => {
+        const days = Number(query.get('olderThanDays'));
+        if (!query.has('olderThanDays') || !Number.isFinite(days) || days < 0) {
+            throw new HttpError(400, 'bad_request', 'olderThanDays must be a number of days');
+        }
+        return { removed: exportHistory.removeOlderThan(days) };
+    }),
+
+    // Sends a file from the exports directory as an attachment
+    apiRoute('GET', '/api/exports/:name/download', ({ res, params }) => {
+        const { filePath, stats } = findExportFile(params.name);
+        res.writeHead(200, {
+            'Content-Type': `${exportMimeType(params.name)}; charset=utf-8`,
+            'Content-Length': stats.size,
+            'Content-Disposition': attachmentHeader(params.name)
+        });
+        pipeline(fs.createReadStream(filePath), res).catch(err => {
+            console.error(`Error sending export ${params.name}: ${err.message}`);
+        });
+    }),
+
+    // The beginning of an export as text
+    apiRoute('GET', '/api/exports/:name/preview', ({ params }) => {
+        const { filePath, stats } = findExportFile(params.name);
+        const buffer = Buffer.alloc(Math.min(stats.size, EXPORT_PREVIEW_BYTES));
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, 0);
+        } finally {
+            fs.closeSync(fd);
         }
+        // The decoder drops a multi-byte character that was cut off at the end
+        return {
+            name: params.name,
+            size: stats.size,
+            content: new StringDecoder('utf8').write(buffer),
+            truncated: stats.size > buffer.length
+        };
+    }),
 
-        function collapseAll() {
-            allTreeItems.forEach(itemElement => {
-                // Do not collapse the very root container itself, only its children
-                // The root element (level 0) often just holds the first set of children
-                // We identify actual expandable directories by the presence of toggleIcon.
-                if (itemElement.classList.contains('directory') && itemElement.querySelector('.toggle-icon')) {
-                    const childrenContainer = itemElement.querySelector('.tree-children');
-                    const toggleIcon = itemElement.querySelector('.toggle-icon');
-                    if (childrenContainer) childrenContainer.style.display = 'none';
-                    if (toggleIcon) toggleIcon.textContent = '►';
-                }
-            });
+    // Deletes an export with all of its parts
+    apiRoute('DELETE', '/api/exports/:name', ({ params }) => {
+        if (!exportFilePath(params.name)) {
+            throw new HttpError(404, 'not_found', 'Export not found');
         }
+        return { removed: exportHistory.remove(params.name) };
+    }),
 
-        // --- Tree Search/Filter Function ---
-        function filterTree() {
-            const searchTerm = document.getElementById('treeSearch').value.toLowerCase();
+    // Runs an export again as a job. The project is loaded again with the recorded patterns
+    // and selection, in a separate exporter so that the project open in the UI is left alone.
+    apiRoute('POST', '/api/exports/:name/rerun', ({ params, session }) => {
+        const record = exportFilePath(params.name) ? exportHistory.get(params.name) : null;
+        if (!record) {
+            throw new HttpError(404, 'not_found', 'This export has no recorded selection to re-run');
+        }
+        const followsLinks = record.loadOptions && record.loadOptions.symlinks === 'follow';
+        if (!isAllowedPath(record.projectPath) || (followsLinks && serverConfig.allowedRoots.length > 0)) {
+            throw new HttpError(403, 'forbidden', 'Access denied: the project is outside the allowed directories');
+        }
 
-            // First, hide everything
-            allTreeItems.forEach(item => {
-                item.style.display = 'none';
+        const job = startJob('export', async (job) => {
+            const rerunExporter = new ProjectExporter();
+            await rerunExporter.loadProject(record.projectPath, record.loadOptions || {}, {
+                signal: job.controller.signal,
+                onProgress: progress => job.progress(progress)
             });
-
-            // Find all items that match the search term or are direct parents of a matched item
-            const itemsToDisplay = new Set();
-            allTreeItems.forEach(item => {
-                const itemName = item.querySelector('label span:nth-child(3)').textContent.toLowerCase();
-                if (itemName.includes(searchTerm)) {
-                    itemsToDisplay.add(item);
-                    // Also add all parent items to ensure they are visible
-                    let currentPath = item.dataset.path;
-                    while (currentPath !== '') {
-                        const parentPath = currentPath.substring(0, currentPath.lastIndexOf('/'));
-                        const parentItem = allTreeItems.find(i => i.dataset.path === parentPath);
-                        if (parentItem) {
-                            itemsToDisplay.add(parentItem);
-                        }
-                        currentPath = parentPath;
-                    }
-                }
+            rerunExporter.selectedPaths = new Set(record.selectedPaths.filter(p => rerunExporter.nodeIndex.has(p)));
+            if (rerunExporter.selectedPaths.size === 0) {
+                throw new Error('None of the exported files exist anymore');
+            }
+            Object.entries(record.lineRanges || {}).forEach(([filePath, ranges]) => {
+                if (rerunExporter.selectedPaths.has(filePath)) rerunExporter.lineRanges.set(filePath, ranges);
             });
+            // The recorded name is kept for the history, but the file gets a name of its own
+            const outputPath = unusedExportPath(rerunExporter.exportOutputPath(record.customName, record.options.format || 'txt'));
+            return runRecordedExport(job, rerunExporter, record.customName, record.options, outputPath);
+        }, session.id);
+        return { jobId: job.id };
+    }),
 
-            // Display only the matched items and their necessary parents
-            itemsToDisplay.forEach(item => {
-                item.style.display = 'block';
-                // When an item or its child is shown, ensure its parent directory is also expanded
-                if (item.classList.contains('directory')) {
-                    const childrenContainer = item.querySelector('.tree-children');
-                    const toggleIcon = item.querySelector('.toggle-icon');
-                    if (childrenContainer) childrenContainer.style.display = 'block';
-                    if (toggleIcon) toggleIcon.textContent = '▼';
-                }
-            });
+    // Uncommitted changes of the loaded project, for marking files in the tree
+    apiRoute('GET', '/api/git/status', async ({ exporter }) => {
+        if (!exporter.projectPath) {
+            return { repository: false, changes: {} };
         }
+        const changes = await getGitStatus(exporter.projectPath);
+        return { repository: changes !== null, changes: changes || {} };
+    }),
 
+    // Replaces the selection with the files that changed since a ref (or within a commit range)
+    apiRoute('POST', '/api/git/select-changed', {
+        body: { ref: 'string?' }
+    }, async ({ body, exporter }) => {
+        requireProject(exporter);
+        const changedPaths = await getChangedFiles(exporter.projectPath, body.ref || 'HEAD');
+        // Changed files that are not in the tree (deleted, excluded or ignored) can't be selected
+        const paths = changedPaths.filter(changedPath => {
+            const node = exporter.nodeIndex.get(changedPath);
+            return node && node.type === 'file';
+        });
+        exporter.selectedPaths = new Set(paths);
+        exporter.pruneLineRanges();
+        return { paths, skipped: changedPaths.length - paths.length };
+    }),
 
-        // --- File Content Preview Function ---
-        async function showFileContent(filePath, fileName) {
-            const previewContainer = document.getElementById('fileContentPreview');
-            const previewFileName = document.getElementById('previewFileName');
-            const fileContentCode = document.getElementById('fileContentCode');
+    // Starts from the home directory (or the first allowed root) when no path is given
+    apiRoute('GET', '/api/browse', ({ query }) => {
+        const defaultPath = isAllowedPath(os.homedir()) ? os.homedir() : serverConfig.allowedRoots[0];
+        const dirPath = query.get('path') || defaultPath;
+        assertAllowedPath(dirPath);
+        return browseDirectory(dirPath);
+    }),
 
-            previewFileName.textContent = fileName;
-            fileContentCode.textContent = 'Loading...';
-            previewContainer.style.display = 'block';
+    apiRoute('GET', '/api/recent', () => ({
+        projects: recentProjects.list().filter(project => isAllowedPath(project.path))
+    })),
 
-            try {
-                const response = await fetch('/api/file-content', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ path: filePath })
-                });
-                const data = await response.json();
+    apiRoute('GET', '/api/selection', ({ exporter }) => ({ paths: [...exporter.selectedPaths] })),
 
-                if (data.error) {
-                    // Escaped backticks
-                    fileContentCode.textContent = \`Error loading file: \${data.error}\`;
-                    fileContentCode.style.color = 'red';
-                } else {
-                    fileContentCode.textContent = data.content;
-                    fileContentCode.style.color = '#333'; // Reset color
-                    // Optional: You could integrate a syntax highlighter library like highlight.js here
-                    // For example: hljs.highlightElement(fileContentCode);
-                }
-            } catch (err) {
-                // Escaped backticks
-                fileContentCode.textContent = \`Network error: \${err.message}\`;
-                fileContentCode.style.color = 'red';
-            }
-        }
+    // Replaces the whole selection, e.g. when a profile is loaded
+    apiRoute('POST', '/api/selection', {
+        body: { paths: 'string[]', lineRanges: 'object?' }
+    }, ({ body, exporter }) => {
+        requireProject(exporter);
+        // Paths that no longer exist in the tree are dropped. Line ranges (e.g. from a
+        // profile) are restored for the files that are selected. Everything is checked before
+        // the selection changes, so a rejected request leaves it as it was.
+        const selectedPaths = new Set(body.paths.filter(p => exporter.nodeIndex.has(p)));
+        const lineRanges = Object.entries(body.lineRanges || {})
+            .filter(([filePath]) => selectedPaths.has(filePath))
+            .map(([filePath, ranges]) => [filePath, exporter.checkLineRanges(filePath, ranges)]);
+        exporter.selectedPaths = selectedPaths;
+        exporter.pruneLineRanges();
+        lineRanges.forEach(([filePath, ranges]) => exporter.setLineRanges(filePath, ranges));
+        return { paths: [...exporter.selectedPaths] };
+    }),
 
-        // --- Existing Functions (slightly modified or untouched) ---
-        async function updateSelection(path, selected) {
-            await fetch('/api/select', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ path, selected })
-            });
-            updateChildCheckboxes(path, selected); // Keep immediate visual feedback
-            updateFileCount();
-        }
+    // The files selected by line ranges
+    apiRoute('GET', '/api/line-ranges', ({ exporter }) => ({ lineRanges: Object.fromEntries(exporter.lineRanges) })),
 
-        function updateChildCheckboxes(parentPath, selected) {
-            const checkboxes = document.querySelectorAll('#treeContainer input[type="checkbox"]');
-            checkboxes.forEach(checkbox => {
-                if (checkbox.value === parentPath) {
-                    checkbox.checked = selected;
-                } else if (parentPath === '') {
-                    // If the root was selected/deselected, affect all other checkboxes
-                    checkbox.checked = selected;
-                } else if (checkbox.value.startsWith(parentPath + '/')) {
-                    checkbox.checked = selected;
-                }
-            });
-        }
+    // Replaces the ranges of one file (an empty list selects the whole file again)
+    apiRoute('PUT', '/api/line-ranges', {
+        body: { path: 'string', ranges: 'array' }
+    }, ({ body, exporter }) => {
+        requireProject(exporter);
+        const stored = exporter.setLineRanges(body.path, body.ranges);
+        return { path: body.path, ranges: stored, lineRanges: Object.fromEntries(exporter.lineRanges) };
+    }),
 
-        async function updateFileCount() {
-            const response = await fetch('/api/count');
-            const data = await response.json();
-            // Escaped backticks
-            document.getElementById('fileCount').textContent = 
-                \`Selected: \${data.fileCount} files\`;
+    apiRoute('GET', '/api/profiles', () => ({ profiles: profileStore.list() })),
+
+    apiRoute('GET', '/api/profiles/:name', ({ params }) => ({ profile: findProfile(params.name) })),
+
+    // Stores the current project and selection together with the UI settings
+    apiRoute('PUT', '/api/profiles/:name', {
+        body: { include: 'string[]?', exclude: 'string[]?', useGitignore: 'boolean?', symlinks: 'string?', format: 'string?', filenameTemplate: 'string?' }
+    }, ({ params, body, exporter }) => {
+        if (!exporter.projectPath) {
+            throw new HttpError(409, 'no_project', 'Load a project before saving a profile');
         }
+        const profile = profileStore.save(params.name, {
+            projectPath: exporter.projectPath,
+            include: body.include || [],
+            exclude: body.exclude || [],
+            useGitignore: Boolean(body.useGitignore),
+            symlinks: SYMLINK_POLICIES.includes(body.symlinks) ? body.symlinks : DEFAULT_SYMLINK_POLICY,
+            selectedPaths: [...exporter.selectedPaths],
+            lineRanges: Object.fromEntries(exporter.lineRanges),
+            format: EXPORT_FORMATS[body.format] ? body.format : 'txt',
+            filenameTemplate: body.filenameTemplate || ''
+        });
+        return { profile };
+    }),
 
-        async function exportFiles() {
-            const customName = document.getElementById('exportName').value;
-            
-            try {
-                const response = await fetch('/api/export', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ customName })
-                });
+    apiRoute('POST', '/api/profiles/:name/rename', {
+        body: { newName: 'string' }
+    }, ({ params, body }) => {
+        const profile = findProfile(params.name);
+        return { profile: profileStore.rename(profile.name, body.newName) };
+    }),
 
-                const data = await response.json();
-                if (data.error) {
-                    // Escaped backticks
-                    showStatus(\`Error exporting files: \${data.error}\`, 'error');
-                    return;
-                }
+    apiRoute('DELETE', '/api/profiles/:name', ({ params }) => {
+        const profile = findProfile(params.name);
+        profileStore.remove(profile.name);
+        return { success: true };
+    }),
 
-                // Escaped backticks
-                showStatus(\`✅ Exported \${data.fileCount} files to: \${data.path}\`, 'success');
-                document.getElementById('exportName').value = '';
-            } catch (err) {
-                // Escaped backticks
-                showStatus(\`Error exporting files: \${err.message}\`, 'error');
+    // A page of a project file for the preview; startLine and lineCount pick the page
+    apiRoute('POST', '/api/file-content', {
+        body: { path: 'string', startLine: 'number?', lineCount: 'number?' }
+    }, async ({ body, exporter }) => {
+        requireProject(exporter);
+        const { path: relativePath, startLine = 1, lineCount = PREVIEW_PAGE_LINES } = body;
+
+        // Resolves the path within the project, following symlinks only as the project's
+        // symlink policy allows
+        const fullPath = exporter.resolvePath(relativePath);
+        if (!isAllowedPath(fullPath)) {
+            throw new PathAccessError('Access denied: Path outside the allowed directories');
+        }
+        if (!fs.existsSync(fullPath)) {
+            throw new HttpError(404, 'not_found', 'File does not exist');
+        }
+        let stats;
+        let page;
+        const firstLine = Math.max(1, Math.floor(startLine));
+        const pageLines = Math.min(PREVIEW_MAX_PAGE_LINES, Math.max(1, Math.floor(lineCount)));
+        try {
+            stats = await fs.promises.stat(fullPath);
+            if (stats.isDirectory()) {
+                throw new HttpError(400, 'bad_request', 'Cannot display content of a directory');
+            }
+            // Binary files are not sent as text; the client only shows a placeholder
+            if (await isBinaryFile(fullPath)) {
+                return { binary: true, size: stats.size };
             }
+            page = await exporter.readLines(relativePath, firstLine, pageLines);
+        } catch (err) {
+            throw clientPathError(err);
         }
+        const { lines, totalLines } = page;
+        const language = detectLanguage(relativePath);
+        return {
+            // Highlighted HTML, one string per line
+            lines: lines.length > 0 ? highlightLines(lines.join('\n'), language) : [],
+            startLine: firstLine,
+            totalLines,
+            language,
+            size: stats.size,
+            ranges: exporter.lineRanges.get(relativePath) || []
+        };
+    })
+];
 
-        function showStatus(message, type) {
-            const status = document.getElementById('status');
-            status.textContent = message;
-            status.className = 'status ' + type;
-            status.style.display = 'block';
-            // Removed setTimeout for success messages to keep them visible
-        }
+// Create HTTP server for the UI
+const server = http.createServer((req, res) => {
+    // A request target like "//" is no valid URL relative to the base
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+        sendError(res, new HttpError(400, 'bad_request', 'Invalid request URL'));
+        return;
+    }
+    const { pathname, searchParams } = url;
 
-        // --- Event Listeners ---
-        document.getElementById('projectPath').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                loadProject();
+    if (serverConfig.token) {
+        // The link printed at startup carries the token once; the browser keeps it in a cookie
+        // and is sent on to the page without the token in its address
+        if (req.method === 'GET' && pathname === '/' && tokenMatches(searchParams.get('token'))) {
+            res.writeHead(302, {
+                'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(serverConfig.token)}; Path=/; HttpOnly; SameSite=Strict`,
+                'Location': '/'
+            });
+            res.end();
+            return;
+        }
+        if (!hasAccessToken(req)) {
+            if (pathname.startsWith('/api/')) {
+                sendError(res, new HttpError(401, 'unauthorized', 'Access token required'));
+            } else {
+                res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Access token required: open the link printed by the server, which includes it.');
             }
-        });
+            return;
+        }
+    }
 
-        document.getElementById('exportName').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                exportFiles();
-            }
-        });
+    if (!pathname.startsWith('/api/')) {
+        if (req.method === 'GET' && pathname === '/') {
+            // Fix 1: Specify UTF-8 in the HTTP header
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(htmlContent);
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+        return;
+    }
 
-        // Add event listener for exclusion checkboxes to reload project when changed
-        document.querySelectorAll('.exclusion-controls input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                if (projectData) { // Only reload if a project is already loaded
-                    loadProject();
-                }
-            });
-        });
-    </script>
-</body>
-</html>
-`; // This is the actual closing backtick for htmlContent
+    // API requests work on the project and selection of their session
+    const session = sessions.forRequest(req, res, searchParams);
+    handleApiRequest(req, res, { pathname, query: searchParams, session, exporter: session.exporter })
+        .catch(err => sendError(res, err));
+});
 
-const server = http.createServer((req, res) => {
-    if (req.method === 'GET' && req.url === '/') {
-        // Fix 1: Specify UTF-8 in the HTTP header
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(htmlContent);
-    } else if (req.method === 'POST' && req.url === '/api/load') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                // Receive exclusions from client
-                const { path: projectPath, exclusions } = JSON.parse(body);
+// --- Headless CLI mode ---
+// node index.js export <path> [--include <glob>]... [--exclude <glob>]... [--out <file>] [--format md]
 
-                if (!fs.existsSync(projectPath)) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Path does not exist' }));
-                    return;
-                }
+const CLI_USAGE = `Usage: node index.js export <project-path> [options]
 
-                const stats = fs.statSync(projectPath);
-                if (!stats.isDirectory()) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Provided path is not a directory' }));
-                    return;
-                }
+Options:
+  --include <glob>        Only export files matching the pattern (repeatable)
+  --exclude <glob>        Skip files/folders matching the pattern (repeatable)
+  --no-default-excludes   Do not apply the built-in excludes (node_modules, .git, ...)
+  --no-gitignore          Do not honor .gitignore / .exporterignore files
+  --symlinks <policy>     Symbolic links: ${SYMLINK_POLICIES.join(', ')} (default: ${DEFAULT_SYMLINK_POLICY})
+  --out <file>            Output file (default: exports/<project>_export_<timestamp>.<format>)
+  --format <format>       Output format: ${Object.keys(EXPORT_FORMATS).join(', ')} (default: txt)
+  --include-binary        Embed binary files as base64 instead of skipping them
+  --max-part-size <size>  Split the output into parts of at most this size (e.g. 500KB, 2MB)
+  --max-part-tokens <n>   Split the output into parts of at most n estimated tokens
+  --model <model>         Model family for token estimates: ${Object.keys(TOKENIZER_MODELS).join(', ')}
+  --changed-since <ref>   Only export files changed since a git ref, or within a range (main..feature)
+  --diff <mode>           Git diffs: none, diff (instead of the content) or both (default: none)
+  --no-redact             Keep credentials found in the files instead of replacing them with [REDACTED:<type>];
+                          the export fails when any are found
+  --include-sensitive     Also export files that usually hold credentials (.env, private keys, ...)
+  --transform <names>     Content transforms, comma-separated (repeatable): ${Object.keys(CONTENT_TRANSFORMS).join(', ')}
+  -h, --help              Show this help
+`;
+
+function parsePositiveInteger(flag, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`${flag} expects a positive whole number, got "${value}"`);
+    }
+    return number;
+}
 
-                exporter.projectPath = projectPath;
-                // Pass the array of active exclusion names to buildTree
-                // Use the provided exclusions array, or a default empty array if none provided
-                exporter.projectTree = exporter.buildTree(projectPath, exclusions || []);
-                exporter.selectedPaths.clear();
+// Parses sizes such as "800", "500KB" or "1.5MB" into bytes
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(value.trim());
+    if (!match) {
+        throw new Error(`Invalid size "${value}" (use e.g. 500KB or 2MB)`);
+    }
+    const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
 
-                // Add formatted size to nodes
-                const addFormattedSize = (node) => {
-                    node.formattedSize = exporter.formatFileSize(node.size);
-                    if (node.children) {
-                        node.children.forEach(addFormattedSize);
-                    }
-                };
-                if (exporter.projectTree) {
-                    addFormattedSize(exporter.projectTree);
-                }
+function parseCliArgs(args) {
+    const options = {
+        projectPath: null,
+        include: [],
+        exclude: [],
+        defaultExcludes: true,
+        useGitignore: true,
+        symlinks: DEFAULT_SYMLINK_POLICY,
+        out: null,
+        format: 'txt',
+        includeBinary: false,
+        maxPartBytes: null,
+        maxPartTokens: null,
+        model: DEFAULT_TOKENIZER_MODEL,
+        changedSince: null,
+        diffMode: 'none',
+        redactSecrets: true,
+        includeSensitiveFiles: false,
+        transforms: [],
+        help: false
+    };
 
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ tree: exporter.projectTree }));
-            } catch (err) {
-                console.error("Error loading project:", err);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: err.message }));
-            }
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        // Options that take a value accept both "--out file" and "--out=file"
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= args.length) throw new Error(`Missing value for ${flag}`);
+            return args[++i];
+        };
+
+        switch (flag) {
+            case '--include': options.include.push(takeValue()); break;
+            case '--exclude': options.exclude.push(takeValue()); break;
+            case '--out': options.out = takeValue(); break;
+            case '--format': options.format = takeValue(); break;
+            case '--no-default-excludes': options.defaultExcludes = false; break;
+            case '--no-gitignore': options.useGitignore = false; break;
+            case '--symlinks': options.symlinks = takeValue(); break;
+            case '--include-binary': options.includeBinary = true; break;
+            case '--max-part-size': options.maxPartBytes = parseSize(takeValue()); break;
+            case '--max-part-tokens': options.maxPartTokens = parsePositiveInteger(flag, takeValue()); break;
+            case '--model': options.model = takeValue(); break;
+            case '--changed-since': options.changedSince = validateGitRef(takeValue()); break;
+            case '--diff': options.diffMode = takeValue(); break;
+            case '--no-redact': options.redactSecrets = false; break;
+            case '--include-sensitive': options.includeSensitiveFiles = true; break;
+            case '--transform': options.transforms.push(...takeValue().split(',').map(name => name.trim()).filter(Boolean)); break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default:
+                if (flag.startsWith('-')) throw new Error(`Unknown option: ${flag}`);
+                if (options.projectPath) throw new Error(`Unexpected argument: ${arg}`);
+                options.projectPath = arg;
+        }
+    }
+
+    if (!isTokenizerModel(options.model)) {
+        throw new Error(`Unknown model "${options.model}" (expected one of: ${Object.keys(TOKENIZER_MODELS).join(', ')})`);
+    }
+    if (!EXPORT_FORMATS[options.format]) {
+        throw new Error(`Unsupported format "${options.format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    if (!DIFF_MODES.includes(options.diffMode)) {
+        throw new Error(`Unsupported diff mode "${options.diffMode}" (expected one of: ${DIFF_MODES.join(', ')})`);
+    }
+    const unknownTransform = options.transforms.find(name => !CONTENT_TRANSFORMS[name]);
+    if (unknownTransform) {
+        throw new Error(`Unknown transform "${unknownTransform}" (expected one of: ${Object.keys(CONTENT_TRANSFORMS).join(', ')})`);
+    }
+    if (!SYMLINK_POLICIES.includes(options.symlinks)) {
+        throw new Error(`Unsupported symlink policy "${options.symlinks}" (expected one of: ${SYMLINK_POLICIES.join(', ')})`);
+    }
+    return options;
+}
+
+// Runs a one-off export without starting the server and resolves to the process exit code
+async function runExportCommand(args) {
+    let options;
+    try {
+        options = parseCliArgs(args);
+    } catch (err) {
+        console.error(`Error: ${err.message}\n\n${CLI_USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(CLI_USAGE);
+        return 0;
+    }
+    if (!options.projectPath) {
+        console.error(`Error: missing project path\n\n${CLI_USAGE}`);
+        return 2;
+    }
+
+    const cliExporter = new ProjectExporter();
+    try {
+        const projectPath = path.resolve(options.projectPath);
+        const tree = await cliExporter.loadProject(projectPath, {
+            include: options.include,
+            exclude: [...(options.defaultExcludes ? cliExporter.defaultExcludePatterns : []), ...options.exclude],
+            useGitignore: options.useGitignore,
+            symlinks: options.symlinks
         });
-    } else if (req.method === 'POST' && req.url === '/api/select') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            const { path, selected } = JSON.parse(body);
-            const node = exporter.findNode(exporter.projectTree, path);
+        if (options.changedSince) {
+            const changedPaths = await getChangedFiles(projectPath, options.changedSince);
+            changedPaths.filter(p => cliExporter.nodeIndex.has(p)).forEach(p => cliExporter.selectedPaths.add(p));
+        } else {
+            cliExporter.getAllPaths(tree).forEach(p => cliExporter.selectedPaths.add(p));
+        }
 
-            if (node) {
-                const allPaths = exporter.getAllPaths(node);
-                if (selected) {
-                    allPaths.forEach(p => exporter.selectedPaths.add(p));
-                } else {
-                    allPaths.forEach(p => exporter.selectedPaths.delete(p));
-                }
+        const contentOptions = {
+            diffMode: options.diffMode,
+            // Diffs are taken against the --changed-since ref, so they show exactly what changed
+            diffBase: options.changedSince || 'HEAD',
+            transforms: options.transforms
+        };
+
+        // Like the review in the UI: credentials are reported before anything is written, and
+        // exporting them unredacted is refused. Sensitive files that are left out don't count.
+        const scan = await cliExporter.scanSelectedFiles(contentOptions);
+        const filesWithFindings = scan.files.filter(file => file.findings.length > 0 &&
+            (options.includeSensitiveFiles || !file.sensitiveFile));
+        if (filesWithFindings.length > 0) {
+            const findingCount = filesWithFindings.reduce((sum, file) => sum + file.findings.length, 0);
+            const print = options.redactSecrets ? console.log : console.error;
+            print(`Found ${findingCount} possible secret(s) in ${filesWithFindings.length} file(s):`);
+            filesWithFindings.forEach(file => file.findings.forEach(finding => {
+                print(`  ${file.path}:${finding.diff ? 'diff:' : ''}${finding.line} ${finding.type} ${finding.preview}`);
+            }));
+            if (!options.redactSecrets) {
+                console.error('Export refused: remove the secrets, exclude their files or drop --no-redact to redact them');
+                return 1;
             }
+        }
 
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true }));
+        const result = await cliExporter.exportToText(null, {
+            outputPath: options.out,
+            format: options.format,
+            includeBinary: options.includeBinary,
+            maxPartBytes: options.maxPartBytes,
+            maxPartTokens: options.maxPartTokens,
+            tokenModel: options.model,
+            ...contentOptions,
+            redactSecrets: options.redactSecrets,
+            includeSensitiveFiles: options.includeSensitiveFiles
         });
-    } else if (req.method === 'GET' && req.url === '/api/count') {
-        let fileCount = 0;
-        for (const path of exporter.selectedPaths) {
-            const node = exporter.findNode(exporter.projectTree, path);
-            if (node && node.type === 'file') {
-                fileCount++;
-            }
+
+        console.log(`Exported ${result.fileCount} files (${cliExporter.formatFileSize(result.totalSize)}) from ${projectPath}`);
+        if (result.binaryCount > 0) {
+            console.log(`Skipped ${result.binaryCount} binary file(s)`);
+        }
+        if (result.unchangedCount > 0) {
+            console.log(`Left out ${result.unchangedCount} file(s) without changes`);
+        }
+        if (result.skippedSensitive.length > 0) {
+            console.log(`Left out ${result.skippedSensitive.length} file(s) that usually hold credentials (--include-sensitive exports them):`);
+            result.skippedSensitive.forEach(filePath => console.log(`  ${filePath}`));
+        }
+        if (result.savings) {
+            const { bytesBefore, bytesAfter, tokensBefore, tokensAfter } = result.savings;
+            console.log(`Transforms: ${cliExporter.formatFileSize(bytesBefore)} → ${cliExporter.formatFileSize(bytesAfter)}, ~${tokensBefore} → ~${tokensAfter} tokens`);
         }
+        if (result.redactions.length > 0) {
+            const redactedCount = result.redactions.reduce((sum, redaction) => sum + redaction.count, 0);
+            console.log(`Redacted ${redactedCount} secret(s) in ${result.redactions.length} file(s):`);
+            result.redactions.forEach(redaction => console.log(`  ${redaction.path} (${redaction.count})`));
+        }
+        if (result.parts.length > 1) {
+            console.log(`Output (${result.parts.length} parts):`);
+            result.parts.forEach(part => console.log(`  ${part.path}`));
+        } else {
+            console.log(`Output: ${result.path}`);
+        }
+        if (result.errors.length > 0) {
+            console.error(`\n${result.errors.length} file(s) could not be read:`);
+            result.errors.forEach(error => console.error(`  ${error.path}: ${error.message}`));
+            return 1;
+        }
+        return 0;
+    } catch (err) {
+        console.error(`Export failed: ${err.message}`);
+        return 1;
+    }
+}
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ fileCount }));
-    } else if (req.method === 'POST' && req.url === '/api/export') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { customName } = JSON.parse(body);
+// --- Server mode ---
+// node index.js [--host <host>] [--port <port>] [--allow-root <dir>]... [--token <token>] [--config <file>] [--no-open]
 
-                if (exporter.selectedPaths.size === 0) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'No files selected' }));
-                    return;
-                }
+const SERVER_USAGE = `Usage: node index.js [options]
 
-                const result = exporter.exportToText(customName);
+Starts the web UI. Options override the environment variables in brackets, which override
+the config file (JSON with host, port, allowedRoots, token and open).
 
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(result));
-            } catch (err) {
-                console.error("Export error:", err);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Export failed: ' + err.message }));
-            }
-        });
-    } else if (req.method === 'POST' && req.url === '/api/file-content') {
-        // New API endpoint to fetch file content
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { path: relativePath } = JSON.parse(body);
-                if (!relativePath) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'File path not provided' }));
-                    return;
-                }
+Options:
+  --host <host>           Interface to listen on (default: localhost) [EXPORTER_HOST]
+  --port <port>           Port to listen on; the next free one is used if it is busy (default: 3000) [EXPORTER_PORT]
+  --allow-root <dir>      Only allow projects inside this directory (repeatable) [EXPORTER_ALLOWED_ROOTS, ${path.delimiter}-separated]
+  --token <token>         Require this access token for the API [EXPORTER_TOKEN]
+  --config <file>         Config file (default: ${path.join(SETTINGS_DIR, 'server.json')} if it exists) [EXPORTER_CONFIG]
+  --no-open               Do not open a browser [EXPORTER_OPEN=0]
+  -h, --help              Show this help
 
-                // Construct the full absolute path
-                const fullPath = path.join(exporter.projectPath, relativePath);
+Run \`node index.js export --help\` for headless exports.
+`;
+// How many ports after the configured one are tried when it is in use
+const PORT_FALLBACK_ATTEMPTS = 10;
 
-                // Basic validation to prevent directory traversal outside projectPath
-                // Ensure the resolved path is still within the project path
-                if (!fullPath.startsWith(exporter.projectPath)) {
-                    res.writeHead(403, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Access denied: Path outside project directory' }));
-                    return;
-                }
+function parsePort(source, value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`${source} expects a port number, got "${value}"`);
+    }
+    return port;
+}
 
-                if (!fs.existsSync(fullPath)) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'File does not exist' }));
-                    return;
-                }
+function parseServerArgs(args) {
+    const options = { allowedRoots: [], help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= args.length) throw new Error(`Missing value for ${flag}`);
+            return args[++i];
+        };
 
-                const stats = fs.statSync(fullPath);
-                if (stats.isDirectory()) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Cannot display content of a directory' }));
-                    return;
+        switch (flag) {
+            case '--host': options.host = takeValue(); break;
+            case '--port': options.port = parsePort(flag, takeValue()); break;
+            case '--allow-root': options.allowedRoots.push(path.resolve(takeValue())); break;
+            case '--token': options.token = takeValue(); break;
+            case '--config': options.config = takeValue(); break;
+            case '--no-open': options.open = false; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Merges the config file, environment and flags (in increasing priority) into serverConfig
+function loadServerConfig(flags, env) {
+    const configPath = flags.config || env.EXPORTER_CONFIG;
+    const defaultConfigPath = path.join(SETTINGS_DIR, 'server.json');
+    let fileConfig = {};
+    if (configPath || fs.existsSync(defaultConfigPath)) {
+        const filePath = path.resolve(configPath || defaultConfigPath);
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read config file ${filePath}: ${err.message}`);
+        }
+        // Relative roots in the file are relative to the file
+        if (Array.isArray(fileConfig.allowedRoots)) {
+            fileConfig.allowedRoots = fileConfig.allowedRoots.map(root => path.resolve(path.dirname(filePath), String(root)));
+        } else if (fileConfig.allowedRoots !== undefined) {
+            throw new Error(`"allowedRoots" in ${filePath} must be a list of directories`);
+        }
+    }
+
+    const envConfig = {};
+    if (env.EXPORTER_HOST) envConfig.host = env.EXPORTER_HOST;
+    if (env.EXPORTER_PORT) envConfig.port = parsePort('EXPORTER_PORT', env.EXPORTER_PORT);
+    if (env.EXPORTER_ALLOWED_ROOTS) {
+        envConfig.allowedRoots = env.EXPORTER_ALLOWED_ROOTS.split(path.delimiter).filter(Boolean).map(root => path.resolve(root));
+    }
+    if (env.EXPORTER_TOKEN) envConfig.token = env.EXPORTER_TOKEN;
+    if (env.EXPORTER_OPEN) envConfig.open = !['0', 'false', 'no'].includes(env.EXPORTER_OPEN.toLowerCase());
+
+    const { config, help, ...flagConfig } = flags;
+    if (flagConfig.allowedRoots.length === 0) delete flagConfig.allowedRoots;
+    const merged = { ...serverConfig, ...fileConfig, ...envConfig, ...flagConfig };
+    merged.port = parsePort('port', merged.port);
+    merged.token = merged.token ? String(merged.token) : null;
+    merged.open = merged.open !== false;
+    for (const root of merged.allowedRoots) {
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw new Error(`Allowed root is not a directory: ${root}`);
+        }
+    }
+    // Compared against real paths by isAllowedPath
+    merged.allowedRoots = merged.allowedRoots.map(root => fs.realpathSync.native(root));
+    return merged;
+}
+
+// Listens on the configured port, or on one of the next ones if it is taken, and resolves
+// to the port that was used
+function listenWithFallback(host, port) {
+    return new Promise((resolve, reject) => {
+        const tryPort = (candidate, attemptsLeft) => {
+            const onError = (err) => {
+                server.off('listening', onListening);
+                if (err.code === 'EADDRINUSE' && candidate !== 0 && attemptsLeft > 0 && candidate < 65535) {
+                    console.log(`Port ${candidate} is in use, trying ${candidate + 1}...`);
+                    tryPort(candidate + 1, attemptsLeft - 1);
+                } else {
+                    reject(err);
                 }
+            };
+            const onListening = () => {
+                server.off('error', onError);
+                resolve(server.address().port);
+            };
+            server.once('error', onError);
+            server.once('listening', onListening);
+            server.listen(candidate, host);
+        };
+        tryPort(port, PORT_FALLBACK_ATTEMPTS);
+    });
+}
 
-                const content = fs.readFileSync(fullPath, 'utf8');
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ content }));
-            } catch (err) {
-                console.error(`Error reading file content for ${body}: ${err.message}`);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: err.message }));
-            }
-        });
+function openBrowser(url) {
+    const onError = (err) => {
+        if (err) console.log(`(Could not open a browser: ${err.message})`);
+    };
+    if (process.platform === 'win32') {
+        // Opened without cmd.exe, which would expand the %xx escapes of the token as variables
+        execFile('rundll32', ['url.dll,FileProtocolHandler', url], onError);
     } else {
-        res.writeHead(404);
-        res.end();
+        execFile(process.platform === 'darwin' ? 'open' : 'xdg-open', [url], onError);
+    }
+}
+
+async function startServer(args) {
+    let options;
+    try {
+        options = parseServerArgs(args);
+        if (options.help) {
+            console.log(SERVER_USAGE);
+            return 0;
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}\n\n${SERVER_USAGE}`);
+        return 2;
+    }
+    try {
+        Object.assign(serverConfig, loadServerConfig(options, process.env));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 2;
+    }
+
+    let port;
+    try {
+        port = await listenWithFallback(serverConfig.host, serverConfig.port);
+    } catch (err) {
+        console.error(`Could not start the server on ${serverConfig.host}:${serverConfig.port}: ${err.message}`);
+        return 1;
     }
-});
 
-const PORT = 3000;
-server.listen(PORT, () => {
+    // A server listening on every interface is still opened through localhost
+    const browserHost = ['0.0.0.0', '::', ''].includes(serverConfig.host) ? 'localhost' : serverConfig.host;
+    const url = `http://${browserHost.includes(':') ? `[${browserHost}]` : browserHost}:${port}/` +
+        (serverConfig.token ? `?token=${encodeURIComponent(serverConfig.token)}` : '');
     console.log(`\n🚀 Project Code Exporter is running!`);
-    console.log(`\n📌 Open your browser at: http://localhost:${PORT}`);
-    console.log(`\n💡 Tip: Files will be exported to: ${path.join(process.cwd(), 'exports')}`);
+    console.log(`\n📌 Open your browser at: ${url}`);
+    console.log(`\n💡 Tip: Files will be exported to: ${EXPORTS_DIR}`);
+    if (serverConfig.allowedRoots.length > 0) {
+        console.log(`\n🔒 Projects are limited to: ${serverConfig.allowedRoots.join(', ')}`);
+    }
+    if (!serverConfig.token && !['localhost', '127.0.0.1', '::1'].includes(serverConfig.host)) {
+        console.log(`\n⚠️  Listening on ${serverConfig.host} without an access token: anyone who can reach this port can read your files`);
+    }
+    console.log(`\n💡 Tip: Run \`node index.js export --help\` for headless exports`);
     console.log(`\nPress Ctrl+C to stop the server\n`);
 
-    if (process.platform === 'win32') {
-        exec(`start http://localhost:${PORT}`);
+    if (serverConfig.open) {
+        openBrowser(url);
     }
-});
+    return 0;
+}
+
+const cliArgs = process.argv.slice(2);
+if (cliArgs[0] === 'export') {
+    runExportCommand(cliArgs.slice(1)).then(code => {
+        process.exitCode = code;
+    });
+} else {
+    startServer(cliArgs).then(code => {
+        process.exitCode = code;
+    });
+}